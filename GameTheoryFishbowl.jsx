@@ -1,13 +1,33 @@
-import React, { useEffect, useRef, useState, useCallback, useLayoutEffect, startTransition, forwardRef } from "react";
+import React, { useEffect, useRef, useState, useCallback, useLayoutEffect, useMemo, startTransition, forwardRef } from "react";
 import { createPortal } from "react-dom";
 import { motion } from "framer-motion";
 import ThreeFishbowl from "./ThreeFishbowl";
 import { useProgress } from "@react-three/drei";
+import { DEFAULT_CONFIG, ITERATED_LENGTH, getStandings, standingScore } from "./engine/simulation.js";
+import { CONTEXT_RULES, isRevealed } from "./engine/context.js";
+import { normalizeSeed, randomSeed } from "./engine/random.js";
+import { populationComposition } from "./engine/evolution.js";
+import { histogram } from "./engine/batch.js";
+import { DEFAULT_MOVE_BUDGET_MS, STARTER_SOURCE, VETTING_TIMEOUT_MS, submissionId, withSubmission } from "./engine/sandbox.js";
+import { canIsolateMoves } from "./engine/moveSandbox.js";
+import { FSM_PRESETS, parseFsm, validateFsm } from "./engine/fsm.js";
+import { listStrategies } from "./engine/registry.js";
+import { OUTCOMES, memoryOnePresets } from "./engine/memoryOne.js";
+import { DECAY_SCHEDULES, DEFAULT_Q_CONFIG, decayed, describeQConfig } from "./engine/qLearning.js";
+import { LOOKUP_TABLE, lookupDefinition } from "./engine/lookup.js";
+import { DEFAULT_EVOLVE_OPTIONS } from "./engine/genetic.js";
+import { BANDIT_ARMS, BANDIT_POLICIES, BANDIT_SCOPES, DEFAULT_BANDIT_CONFIG, describeBanditConfig } from "./engine/bandits.js";
+import { PD, checkPrisonersDilemma, titForTatThreshold } from "./engine/payoffs.js";
+import { CUSTOM_GAME_ID, GAMES, classifyGame, resolvePayoffs } from "./engine/games.js";
 // Removed Recharts imports as charts are no longer displayed
 
+// Playback speeds as ms between matches; 0 lets the worker run matches back to back
+const SPEED_STEPS = [1000, 600, 300, 150, 60, 20, 0];
+const DEFAULT_SPEED_INDEX = 2;
+
 // Single-file React component: visualized autonomous Game Theory fishbowl
 // Tooltip component for educational details (kept on-screen via measured clamping)
-const Tooltip = forwardRef(({ x, y, content, visible, isSticky = false }, fwdRef) => {
+const Tooltip = forwardRef(({ x, y, content, visible, isSticky = false, gameNote = null }, fwdRef) => {
   const wrapperRef = useRef(null);
   const setRefs = useCallback((node) => {
     wrapperRef.current = node;
@@ -97,6 +117,53 @@ const Tooltip = forwardRef(({ x, y, content, visible, isSticky = false }, fwdRef
           {isSticky && <span className="text-xs bg-blue-500/20 px-2 py-1 rounded-full">📌 Pinned</span>}
         </div>
         <div className="text-xs md:text-sm text-gray-300 mb-3">{content.desc}</div>
+        {content.memoryOne && (
+          <div className="text-[10px] md:text-xs text-gray-400 font-mono mb-3" title="Chance of cooperating after each outcome of the last round (own move first)">
+            Memory-one: opens {content.memoryOne.opening}; p(CC, CD, DC, DD) = ({["CC", "CD", "DC", "DD"].map(k => content.memoryOne.p[k].toFixed(2)).join(", ")})
+          </div>
+        )}
+        {content.lookup && (
+          <div className="text-[10px] md:text-xs text-gray-400 font-mono mb-3" title="Evolved lookup table over the last three rounds">
+            Lookup table: opens {content.lookup.opening}; cooperates in {Math.round(content.lookup.cooperation * 100)}% of its 64 entries
+          </div>
+        )}
+        {content.qLearning && (
+          <div className="text-[10px] md:text-xs text-gray-400 font-mono mb-3" title="Q-learning hyperparameters and state encoding">
+            Q-learning: {describeQConfig(content.qLearning)}
+          </div>
+        )}
+        {content.insight && (
+          <div className="bg-cyan-900/30 p-2 md:p-3 rounded-lg border border-cyan-500/30 mb-3">
+            <div className="text-xs md:text-sm font-semibold text-cyan-300 mb-1">🔍 {content.insight.title}</div>
+            <div className="space-y-0.5">
+              {content.insight.bars.map(bar => (
+                <div key={bar.label} className="flex items-center gap-2 text-[10px] md:text-xs text-gray-300">
+                  <span className="w-32 truncate">{bar.label}</span>
+                  <div className="flex-1 h-1.5 bg-white/10 rounded-full overflow-hidden">
+                    <div className="h-full bg-cyan-400" style={{ width: `${bar.value * 100}%` }} />
+                  </div>
+                  <span className="w-10 text-right font-mono">{Math.round(bar.value * 100)}%</span>
+                </div>
+              ))}
+            </div>
+            {content.insight.series?.length > 1 && (
+              <div className="mt-1.5">
+                <Sparkline values={content.insight.series} height={36} />
+                <div className="text-[10px] text-gray-400">{content.insight.seriesLabel}</div>
+              </div>
+            )}
+          </div>
+        )}
+        {content.submission?.disqualified && (
+          <div className="text-[10px] md:text-xs text-rose-200 bg-rose-900/30 border border-rose-500/40 rounded-lg p-2 mb-3">
+            ⛔ Disqualified in round {content.submission.disqualified.round}: {content.submission.disqualified.reason}. It cooperates from then on; fix it in the editor and add it again to compete.
+          </div>
+        )}
+        {gameNote && (
+          <div className="text-[10px] md:text-xs text-amber-200 bg-amber-900/30 border border-amber-500/40 rounded-lg p-2 mb-3">
+            ℹ️ These descriptions assume the Prisoner's Dilemma. The fishbowl is currently playing {gameNote}, so strengths and weaknesses may not hold.
+          </div>
+        )}
         <div className="space-y-2 md:space-y-3">
           <div className="bg-blue-900/30 p-2 md:p-3 rounded-lg border border-blue-500/30">
             <div className="text-xs md:text-sm font-semibold text-blue-300 mb-1">🧠 Strategy Philosophy</div>
@@ -143,236 +210,6 @@ const Tooltip = forwardRef(({ x, y, content, visible, isSticky = false }, fwdRef
   );
 });
 
-// --- Simulation params ---
-const PD = {
-  R: 3,
-  T: 5,
-  P: 1,
-  S: 0,
-};
-
-const ITERATED_LENGTH = 20;
-const PAUSE_BETWEEN_MATCHES_MS = 300;
-const AGENT_COUNT = 10;
-
-const ClassicStrategies = [
-  { 
-    id: "C_ALWAYS", 
-    name: "Always Cooperate", 
-    fn: (history) => "C", 
-    desc: "The altruist - always cooperates regardless of opponent behavior.",
-    reasoning: "Philosophy: Trust and cooperation lead to mutual benefit. This strategy embodies unconditional altruism and assumes others will reciprocate kindness.",
-    strengths: ["Maximizes mutual cooperation when paired with similar strategies", "Simple and predictable", "Encourages cooperative environments"],
-    weaknesses: ["Vulnerable to exploitation by defectors", "Cannot adapt to hostile opponents", "Often finishes last in mixed tournaments"],
-    realWorld: "Like a person who always helps others regardless of how they're treated - admirable but potentially naive.",
-    performance: "Excellent against other cooperators, terrible against defectors. Often used as a baseline 'nice' strategy.",
-    isClassic: true 
-  },
-  { 
-    id: "D_ALWAYS", 
-    name: "Always Defect", 
-    fn: (history) => "D", 
-    desc: "The hawk - pure selfishness, always defects.",
-    reasoning: "Philosophy: Self-interest above all. This strategy assumes others cannot be trusted and that exploitation is the only path to success.",
-    strengths: ["Cannot be exploited", "Performs well against naive cooperators", "Provides guaranteed minimum payoff"],
-    weaknesses: ["Cannot build cooperative relationships", "Terrible against itself", "Misses opportunities for mutual benefit"],
-    realWorld: "Like a ruthless business competitor who never honors agreements - successful short-term, isolated long-term.",
-    performance: "Dominates cooperators but destroys mutual benefit. Classic 'rational' choice that leads to tragedy of commons.",
-    isClassic: true 
-  },
-  { 
-    id: "TIT_FOR_TAT", 
-    name: "Tit-for-Tat", 
-    fn: (history) => history.length === 0 ? "C" : history[history.length - 1].opponent, 
-    desc: "The diplomat - starts nice, then mirrors opponent's last move.",
-    reasoning: "Philosophy: Reciprocity is the foundation of cooperation. Start with trust, but respond proportionally to how you're treated.",
-    strengths: ["Nice (starts cooperating)", "Retaliatory (punishes defection)", "Forgiving (returns to cooperation quickly)", "Clear and predictable"],
-    weaknesses: ["Can get trapped in defection spirals", "Vulnerable to noise/mistakes", "Sometimes too retaliatory"],
-    realWorld: "Like international diplomacy - extend an olive branch, but respond firmly to aggression. The golden rule in action.",
-    performance: "Winner of Axelrod's original tournament. Optimal balance of niceness, retaliation, and forgiveness.",
-    isClassic: true 
-  },
-  { 
-    id: "GRIM", 
-    name: "Grim Trigger", 
-    fn: (history) => history.some((h) => h.opponent === "D") ? "D" : "C", 
-    desc: "The grudge-holder - cooperates until first betrayal, then defects forever.",
-    reasoning: "Philosophy: Trust is sacred and betrayal is unforgivable. One strike and you're out - permanent retaliation for any defection.",
-    strengths: ["Deters defection through threat of permanent punishment", "Simple trigger mechanism", "Maximizes cooperation when respected"],
-    weaknesses: ["Unforgiving - no second chances", "Vulnerable to accidental defections", "Can create permanent hostility"],
-    realWorld: "Like cutting off all contact after being betrayed once - effective deterrent but inflexible to human error.",
-    performance: "Powerful deterrent effect, but lacks forgiveness mechanism. Can spiral into permanent conflict.",
-    isClassic: true 
-  },
-  { 
-    id: "GENEROUS_TIT_FOR_TAT", 
-    name: "Generous Tit-for-Tat", 
-    fn: (history) => {
-      if (history.length === 0) {
-        return "C";
-      }
-      const lastMove = history[history.length - 1].opponent;
-      if (lastMove === "C") {
-        return "C";
-      }
-      return Math.random() < 0.1 ? "C" : "D"; // 10% chance to forgive
-    }, 
-    desc: "The forgiver - like Tit-for-Tat but occasionally forgives defection.",
-    reasoning: "Philosophy: Reciprocity with mercy. Sometimes forgive defections to break cycles of retaliation and give second chances.",
-    strengths: ["Breaks defection spirals", "More resilient to noise", "Maintains cooperative potential", "Generous but not naive"],
-    weaknesses: ["Can be exploited by repeated defectors", "Forgiveness rate needs calibration", "More complex than pure strategies"],
-    realWorld: "Like a diplomatic relationship with occasional pardons - maintains cooperation while allowing for mistakes and reconciliation.",
-    performance: "Often outperforms pure Tit-for-Tat in noisy environments. Balance between firmness and flexibility.",
-    isClassic: true 
-  },
-  { 
-    id: "RANDOM", 
-    name: "Random", 
-    fn: (history) => Math.random() < 0.5 ? "C" : "D", 
-    desc: "The unpredictable - randomly cooperates or defects.",
-    reasoning: "Philosophy: Unpredictability prevents exploitation. Random behavior makes it impossible for opponents to learn and counter your strategy.",
-    strengths: ["Completely unpredictable", "Cannot be exploited systematically", "Provides baseline performance measure"],
-    weaknesses: ["No strategic coherence", "Cannot build trust", "Suboptimal against all other strategies"],
-    realWorld: "Like someone with random mood swings - impossible to predict but also impossible to build a relationship with.",
-    performance: "Typically performs poorly as it cannot establish cooperation or systematic exploitation. Useful as control group.",
-    isClassic: true 
-  }
-];
-
-const AdaptiveAgents = [
-  {
-    id: "Q_LEARNER",
-    name: "Q-Learning Agent",
-    desc: "Reinforcement learning agent using Q-Learning algorithm.",
-    reasoning: "Machine Learning: Uses Q-Learning to map opponent history patterns to optimal actions. Learns through trial and error with exploration vs exploitation.",
-    strengths: ["Adapts to any opponent strategy", "Learns optimal responses", "Balances exploration and exploitation", "Can discover novel counter-strategies"],
-    weaknesses: ["Requires training time", "May be exploited during learning phase", "Performance depends on exploration rate"],
-    realWorld: "Like an AI studying your behavior patterns to predict and counter your moves - gets smarter over time.",
-    performance: "Potentially superior to fixed strategies after sufficient learning. Effectiveness depends on opponent predictability.",
-    isClassic: false,
-    qTable: {},
-    epsilon: 0.1,
-    alpha: 0.1,
-    gamma: 0.9,
-    fn: function(history, myHistory) {
-      const state = this.getState(history);
-      if (Math.random() < this.epsilon) {
-        return Math.random() < 0.5 ? "C" : "D";
-      } else {
-        const qC = this.qTable[state + "_C"] || 0;
-        const qD = this.qTable[state + "_D"] || 0;
-        return qC > qD ? "C" : "D";
-      }
-    },
-    getState: function(history) {
-      if (history.length === 0) { return "start"; }
-      const recent = history.slice(-3);
-      return recent.map(h => h.opponent).join("");
-    },
-    updateQ: function(state, action, reward, nextState) {
-      const current = this.qTable[state + "_" + action] || 0;
-      const nextMax = Math.max(
-        this.qTable[nextState + "_C"] || 0,
-        this.qTable[nextState + "_D"] || 0
-      );
-      this.qTable[state + "_" + action] = current + this.alpha * (reward + this.gamma * nextMax - current);
-    }
-  },
-  {
-    id: "FREQ_ANALYSIS",
-    name: "Frequency Analyzer",
-    desc: "Analyzes opponent's cooperation frequency and adapts accordingly.",
-    reasoning: "Statistical Learning: Tracks opponent cooperation rate and adjusts strategy based on their apparent cooperativeness level.",
-    strengths: ["Quick to identify opponent type", "Simple and efficient", "Good against consistent strategies", "Robust to noise"],
-    weaknesses: ["Vulnerable to pattern changes", "Cannot detect complex patterns", "May miss temporal strategies"],
-    realWorld: "Like a negotiator who studies your past behavior to predict future actions - simple but effective pattern recognition.",
-    performance: "Effective against consistent opponents, struggles with adaptive or complex strategies.",
-    isClassic: false,
-    cooperationThreshold: 0.6,
-    fn: function(history, myHistory) {
-      if (history.length < 5) { return "C"; }
-      const cooperationRate = history.filter(h => h.opponent === "C").length / history.length;
-      return cooperationRate > this.cooperationThreshold ? "C" : "D";
-    }
-  },
-  {
-    id: "PATTERN_DETECTOR",
-    name: "Pattern Detective",
-    desc: "Detects patterns in opponent behavior and predicts next move.",
-    reasoning: "Pattern Recognition: Searches for repeating sequences in opponent behavior to predict and counter their next move.",
-    strengths: ["Detects complex patterns", "Can counter systematic strategies", "Adapts to changing patterns", "Good against periodic strategies"],
-    weaknesses: ["Struggles with truly random opponents", "Needs time to learn patterns", "May overfit to noise"],
-    realWorld: "Like a detective analyzing crime patterns - looks for repeating behaviors to predict and prevent the next incident.",
-    performance: "Excellent against pattern-based strategies, poor against random or adaptive opponents.",
-    isClassic: false,
-    patterns: {},
-    fn: function(history, myHistory) {
-      if (history.length < 4) { return "C"; }
-      for (let patternLength = 2; patternLength <= Math.min(4, history.length); patternLength++) {
-        const pattern = history.slice(-patternLength).map(h => h.opponent).join("");
-        if (this.patterns[pattern]) {
-          const predictions = this.patterns[pattern];
-          const mostLikely = predictions.C > predictions.D ? "C" : "D";
-          return mostLikely === "C" ? "C" : "D";
-        }
-      }
-      return "C";
-    },
-    updatePatterns: function(history) {
-      if (history.length < 3) { return; }
-      for (let patternLength = 2; patternLength <= Math.min(4, history.length - 1); patternLength++) {
-        const pattern = history.slice(-patternLength - 1, -1).map(h => h.opponent).join("");
-        const nextMove = history[history.length - 1].opponent;
-        if (!this.patterns[pattern]) { this.patterns[pattern] = { C: 0, D: 0 }; }
-        this.patterns[pattern][nextMove]++;
-      }
-    }
-  },
-  {
-    id: "META_STRATEGY",
-    name: "Meta-Strategist",
-    desc: "Combines multiple strategies and switches based on performance.",
-    reasoning: "Portfolio Learning: Maintains multiple sub-strategies and dynamically selects the best performer against current opponent.",
-    strengths: ["Combines best of multiple approaches", "Adapts strategy selection", "Robust across opponent types", "Self-improving"],
-    weaknesses: ["Complex implementation", "Slow to converge", "May switch strategies too frequently"],
-    realWorld: "Like an investment portfolio manager - maintains diverse strategies and allocates resources to the best performers.",
-    performanceProfile: "Potentially the strongest adaptive agent, but requires careful tuning of strategy switching mechanisms.",
-    isClassic: false,
-    strategies: ["C", "D", "TFT", "FREQ"],
-    performance: { "C": 0, "D": 0, "TFT": 0, "FREQ": 0 },
-    counts: { "C": 0, "D": 0, "TFT": 0, "FREQ": 0 },
-    currentStrategy: "TFT",
-    fn: function(history, myHistory) {
-      if (history.length > 10 && history.length % 10 === 0) {
-        let bestStrategy = this.currentStrategy;
-        let bestPerf = this.counts[this.currentStrategy] > 0 ? 
-          this.performance[this.currentStrategy] / this.counts[this.currentStrategy] : 0;
-        for (let strategy of this.strategies) {
-          if (this.counts[strategy] > 0) {
-            const perf = this.performance[strategy] / this.counts[strategy];
-            if (perf > bestPerf) { bestPerf = perf; bestStrategy = strategy; }
-          }
-        }
-        this.currentStrategy = bestStrategy;
-      }
-      switch (this.currentStrategy) {
-        case "C": return "C";
-        case "D": return "D";
-        case "TFT": return history.length === 0 ? "C" : history[history.length - 1].opponent;
-        case "FREQ": 
-          if (history.length < 5) { return "C"; }
-          const cooperationRate = history.filter(h => h.opponent === "C").length / history.length;
-          return cooperationRate > 0.6 ? "C" : "D";
-        default: return "C";
-      }
-    },
-    updatePerformance: function(strategy, reward) {
-      this.performance[strategy] += reward;
-      this.counts[strategy]++;
-    }
-  }
-];
-
 // (removed duplicate Tooltip)
 
 // Fullscreen loading splash with highly animated loader
@@ -475,6 +312,1238 @@ function LoadingSplash({ onDone }) {
   );
 }
 
+// Dashboard payoff matrix: shows the live R/T/P/S values, lets the user edit them between runs
+// and warns when a custom matrix no longer describes a Prisoner's Dilemma.
+function PayoffMatrixCard({ gameId, payoffs, onChange, disabled }) {
+  const { R, T, P, S } = payoffs;
+  const { valid, issues } = checkPrisonersDilemma(payoffs);
+  const preset = GAMES[gameId];
+  const detected = preset || classifyGame(payoffs);
+  const cellBase = "text-center p-1 rounded text-[10px] sm:text-xs transition-colors";
+  const fields = [
+    { key: "R", label: "Reward" },
+    { key: "T", label: "Temptation" },
+    { key: "P", label: "Punishment" },
+    { key: "S", label: "Sucker" },
+  ];
+
+  return (
+    <div className="bg-blue-900/20 p-2 md:p-3 rounded-lg border border-blue-500/30 hover:bg-blue-900/30 transition-colors">
+      <h4 className="font-semibold text-blue-300 mb-1 md:mb-2 text-xs sm:text-sm">📊 {preset ? preset.name : "Custom Game"} Payoff Matrix</h4>
+      <div className="grid grid-cols-3 gap-1 md:gap-2 text-xs font-mono">
+        <div></div><div className="text-center text-green-300">Cooperate</div><div className="text-center text-red-300">Defect</div>
+        <div className="text-green-300">Cooperate</div><div className={`${cellBase} bg-green-900/30 hover:bg-green-900/50`}>R={R},{R}</div><div className={`${cellBase} bg-red-900/30 hover:bg-red-900/50`}>S={S},T={T}</div>
+        <div className="text-red-300">Defect</div><div className={`${cellBase} bg-yellow-900/30 hover:bg-yellow-900/50`}>T={T},S={S}</div><div className={`${cellBase} bg-gray-900/30 hover:bg-gray-900/50`}>P={P},{P}</div>
+      </div>
+      <div className="mt-2 flex flex-wrap items-center gap-2 text-[10px] sm:text-xs">
+        {fields.map(({ key, label }) => (
+          <label key={key} className="flex items-center gap-1" title={label}>
+            <span className="font-mono">{key}</span>
+            <input
+              type="number"
+              step={0.5}
+              className="w-14 bg-black/40 border border-white/20 rounded px-1 py-0.5 text-white font-mono disabled:opacity-60"
+              value={payoffs[key]}
+              onChange={(e) => {
+                const v = Number(e.target.value);
+                onChange({ ...payoffs, [key]: Number.isFinite(v) ? v : 0 }, CUSTOM_GAME_ID);
+              }}
+              disabled={disabled}
+            />
+          </label>
+        ))}
+        <button
+          className="px-2 py-0.5 rounded bg-white/10 hover:bg-white/20 disabled:opacity-60"
+          onClick={() => onChange(PD, "prisonersDilemma")}
+          disabled={disabled}
+          title="Restore R=3, T=5, P=1, S=0"
+        >
+          Reset
+        </button>
+      </div>
+      {valid ? (
+        <p className="mt-1 md:mt-2 text-[10px] sm:text-xs text-white/70">
+          <strong>Key insight:</strong> Mutual cooperation (R={R},{R}) beats mutual defection (P={P},{P}), but temptation to defect (T={T}) while opponent cooperates (S={S}).
+        </p>
+      ) : preset ? (
+        <p className="mt-1 md:mt-2 text-[10px] sm:text-xs text-white/70">
+          <strong>Key insight ({preset.ordering}):</strong> {preset.summary}
+        </p>
+      ) : (
+        <div className="mt-1 md:mt-2 text-[10px] sm:text-xs text-amber-200 bg-amber-900/30 border border-amber-500/40 rounded p-1.5">
+          <strong>⚠️ This is no longer a Prisoner's Dilemma{detected ? ` - it is a ${detected.name} (${detected.ordering})` : ""}.</strong>
+          <ul className="list-disc pl-4 mt-0.5">
+            {issues.map((issue) => (<li key={issue}>{issue}</li>))}
+          </ul>
+          {detected && <p className="mt-0.5 text-white/70">{detected.summary}</p>}
+          <p className="mt-0.5 text-white/60">Strategy descriptions assume the PD, so expect different winners.</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Line chart of values in [0, 1], oldest first, with a dashed midline at 50%
+function Sparkline({ values, height = 48 }) {
+  const width = 200;
+  const points = values.map((v, i) => `${(i / Math.max(1, values.length - 1)) * width},${(1 - v) * height}`).join(" ");
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" className="w-full" style={{ height }}>
+      <line x1={0} y1={height / 2} x2={width} y2={height / 2} stroke="#fff" strokeOpacity={0.2} strokeDasharray="4 4" />
+      <polyline points={points} fill="none" stroke="#22d3ee" strokeWidth={1.5} vectorEffect="non-scaling-stroke" />
+    </svg>
+  );
+}
+
+// Live policy trends for agents whose brains report one (the Neural Policy Agent's cooperation
+// probability per training episode)
+function PolicyTrendCard({ agents }) {
+  const trending = agents.filter(a => a.insight?.series?.length > 1).slice(0, 4);
+  if (trending.length === 0) {
+    return null;
+  }
+  return (
+    <div className="bg-black/30 p-2 sm:p-3 rounded-2xl border border-white/10 text-xs">
+      <h3 className="text-sm sm:text-base font-bold mb-2">🧠 Policy Over Time</h3>
+      <div className="space-y-2">
+        {trending.map(a => (
+          <div key={a.id}>
+            <div className="flex justify-between text-white/80">
+              <span>{a.name}</span>
+              {a.insight.bars[0] && <span className="font-mono">{a.insight.bars[0].label}: {Math.round(a.insight.bars[0].value * 100)}%</span>}
+            </div>
+            <Sparkline values={a.insight.series} />
+            <div className="text-[10px] text-white/50">{a.insight.seriesLabel}</div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Round-by-round moves of the latest match. Amber ring = trembling-hand slip (intended move was
+// flipped); "?" = that player misread the opponent's move in its own history.
+function MatchTimeline({ match }) {
+  const cell = (own, other) => (
+    <div
+      key={own.index}
+      className={`w-3 h-3 sm:w-3.5 sm:h-3.5 rounded-sm flex items-center justify-center text-[8px] font-bold text-black ${own.move === "C" ? "bg-emerald-400" : "bg-rose-500"} ${own.slip ? "ring-2 ring-amber-300" : ""}`}
+      title={`Round ${own.index + 1}: played ${own.move}${own.slip ? ` (intended ${own.intended})` : ""}${other.misread ? ` • opponent saw ${other.seen}` : ""}`}
+    >
+      {other.misread ? "?" : ""}
+    </div>
+  );
+  const rows = [
+    { side: "A", name: match.A, own: match.historyA, other: match.historyB },
+    { side: "B", name: match.B, own: match.historyB, other: match.historyA },
+  ];
+  const slips = match.historyA.filter(r => r.executionError).length + match.historyB.filter(r => r.executionError).length;
+  const misreads = match.historyA.filter(r => r.perceptionError).length + match.historyB.filter(r => r.perceptionError).length;
+
+  return (
+    <div className="bg-black/30 p-2 sm:p-3 rounded-2xl border border-white/10">
+      <h3 className="text-sm sm:text-base font-bold mb-2">🎬 Last Match</h3>
+      <div className="space-y-1.5">
+        {rows.map(row => (
+          <div key={row.side} className="flex items-center gap-2">
+            <span className="w-24 sm:w-28 truncate text-xs text-white/80">{row.name}</span>
+            <div className="flex flex-wrap gap-0.5">
+              {row.own.map((round, i) => cell(
+                { index: i, move: round.self, intended: round.intended, slip: round.executionError },
+                { misread: row.other[i]?.perceptionError, seen: row.other[i]?.opponent }
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+      <div className="mt-2 text-[10px] sm:text-xs text-white/60">
+        {slips + misreads === 0
+          ? "No mistakes this match."
+          : `${slips} execution slip${slips === 1 ? "" : "s"} (amber ring) • ${misreads} misread${misreads === 1 ? "" : "s"} (?)`}
+      </div>
+    </div>
+  );
+}
+
+// Monte Carlo results: per-strategy normalized score (payoff per round) and rank across seeds.
+// Column headers sort the table; clicking a row shows that strategy's score histogram.
+const BATCH_COLUMNS = [
+  { key: "name", label: "Strategy", value: (s) => s.name },
+  { key: "mean", label: "Mean", value: (s) => s.score.mean },
+  { key: "median", label: "Median", value: (s) => s.score.median },
+  { key: "interval", label: "95% interval", value: (s) => s.score.low },
+  { key: "rank", label: "Rank", value: (s) => -s.rank.mean },
+];
+
+function BatchResultsCard({ result, progress, error, mode, runs, onRunsChange, onRun, onCancel }) {
+  const [sort, setSort] = useState({ key: "mean", desc: true });
+  const [selectedId, setSelectedId] = useState(null);
+  const column = BATCH_COLUMNS.find(c => c.key === sort.key);
+  const rows = result ? [...result.strategies].sort((a, b) => {
+    const va = column.value(a);
+    const vb = column.value(b);
+    const order = typeof va === "string" ? va.localeCompare(vb) : va - vb;
+    return sort.desc ? -order : order;
+  }) : [];
+  const selected = rows.find(r => r.id === selectedId) || rows[0];
+  const allScores = result ? result.strategies.flatMap(s => s.scores) : [];
+  const bins = selected ? histogram(selected.scores, { bins: 12, min: Math.min(...allScores), max: Math.max(...allScores) }) : [];
+  const tallest = Math.max(1, ...bins.map(b => b.count));
+
+  return (
+    <div className="bg-black/30 p-2 sm:p-3 rounded-2xl border border-white/10">
+      <h3 className="text-sm sm:text-base font-bold mb-2">🎲 Monte Carlo Batch</h3>
+      <div className="flex items-center gap-2 text-xs text-white/70 mb-2">
+        <label className="flex items-center gap-1" title="Tournaments to play, each with the next seed after the current one and the current settings">
+          Runs
+          <input
+            type="number"
+            min={1}
+            max={1000}
+            className="w-16 bg-black/40 border border-white/20 rounded-lg px-2 py-1 text-white disabled:opacity-60"
+            value={runs}
+            onChange={(e) => onRunsChange(Math.max(1, Math.min(1000, Math.floor(Number(e.target.value) || 1))))}
+            disabled={!!progress}
+          />
+        </label>
+        {progress ? (
+          <button className="px-2 py-1 rounded-lg bg-rose-500/80 text-white touch-feedback no-tap-highlight" onClick={onCancel}>
+            Cancel
+          </button>
+        ) : (
+          <button className="px-2 py-1 rounded-lg bg-emerald-400 text-black font-semibold touch-feedback no-tap-highlight" onClick={onRun}>
+            Run {runs} simulations
+          </button>
+        )}
+      </div>
+      {mode === "moran" && (
+        <div className="text-[10px] sm:text-xs text-amber-200/80 mb-2">
+          Moran runs are batched as a round-robin of the same roster: the scores show head-to-head strength, not which strategy takes over.
+        </div>
+      )}
+      {error && <div className="text-[10px] sm:text-xs text-rose-300 mb-2">{error}</div>}
+      {progress && (
+        <div className="h-1.5 bg-white/10 rounded-full overflow-hidden mb-2">
+          <div className="h-full bg-emerald-400" style={{ width: `${(progress.done / progress.runs) * 100}%` }} />
+        </div>
+      )}
+      {result && (
+        <>
+          <div className="text-[10px] sm:text-xs text-white/60 mb-1">
+            {result.runs} runs from seed {result.seed}. Score = average payoff per round.
+          </div>
+          <table className="w-full text-[10px] sm:text-xs">
+            <thead>
+              <tr className="text-white/60">
+                {BATCH_COLUMNS.map(c => (
+                  <th
+                    key={c.key}
+                    className={`py-1 cursor-pointer select-none ${c.key === "name" ? "text-left" : "text-right"}`}
+                    onClick={() => setSort(prev => ({ key: c.key, desc: prev.key === c.key ? !prev.desc : c.key !== "name" }))}
+                  >
+                    {c.label}{sort.key === c.key ? (sort.desc ? " ▾" : " ▴") : ""}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(r => (
+                <tr
+                  key={r.id}
+                  className={`cursor-pointer ${selected?.id === r.id ? "bg-white/10" : "hover:bg-white/5"}`}
+                  onClick={() => setSelectedId(r.id)}
+                >
+                  <td className="py-0.5 truncate max-w-[7rem]">{r.isClassic ? "🏛️" : "🤖"} {r.name}</td>
+                  <td className="text-right font-mono">{r.score.mean.toFixed(2)}</td>
+                  <td className="text-right font-mono">{r.score.median.toFixed(2)}</td>
+                  <td className="text-right font-mono">{r.score.low.toFixed(2)}–{r.score.high.toFixed(2)}</td>
+                  <td className="text-right font-mono" title={`Median ${r.rank.median}, 95% interval ${r.rank.low}–${r.rank.high}`}>{r.rank.mean.toFixed(1)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {selected && (
+            <div className="mt-2">
+              <div className="text-[10px] sm:text-xs text-white/70 mb-1">Score distribution: {selected.name}</div>
+              <div className="flex items-end gap-0.5 h-16">
+                {bins.map((b, i) => (
+                  <div
+                    key={i}
+                    className="flex-1 bg-emerald-400/80 rounded-t-sm"
+                    style={{ height: `${(b.count / tallest) * 100}%` }}
+                    title={`${b.from.toFixed(2)}–${b.to.toFixed(2)}: ${b.count} run${b.count === 1 ? "" : "s"}`}
+                  />
+                ))}
+              </div>
+              <div className="flex justify-between text-[10px] text-white/50 font-mono">
+                <span>{bins[0]?.from.toFixed(2)}</span>
+                <span>{bins[bins.length - 1]?.to.toFixed(2)}</span>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+// Run a submission's vetting matches in a throwaway sandbox worker; a hang past the timeout
+// counts as a failure. Code that could not be isolated in play is refused up front.
+function vetInSandbox(submission) {
+  if (!submission.kind && !canIsolateMoves()) {
+    return Promise.resolve({ ok: false, error: "This page is not cross-origin isolated, so submitted code cannot be run safely. Reload the page; if this persists, your browser does not support it." });
+  }
+  return new Promise((resolve) => {
+    const worker = new Worker(new URL("./engine/sandboxWorker.js", import.meta.url), { type: "module" });
+    const timer = setTimeout(() => {
+      worker.terminate();
+      resolve({ ok: false, error: `No answer within ${VETTING_TIMEOUT_MS / 1000} s. Is there an infinite loop?` });
+    }, VETTING_TIMEOUT_MS);
+    worker.onmessage = ({ data }) => {
+      clearTimeout(timer);
+      worker.terminate();
+      resolve(data);
+    };
+    worker.onerror = (e) => {
+      clearTimeout(timer);
+      worker.terminate();
+      resolve({ ok: false, error: e.message || "The sandbox crashed." });
+    };
+    worker.postMessage({ submission });
+  });
+}
+
+// One worker plays every builder's preview matches, so that long previews never hold up the page
+const PREVIEW_DEBOUNCE_MS = 150;
+let previewWorker = null;
+let previewRequests = 0;
+const previewReplies = new Map(); // requestId -> resolve
+
+function requestPreviews(submissions, opponentId, options) {
+  if (!previewWorker) {
+    previewWorker = new Worker(new URL("./engine/worker.js", import.meta.url), { type: "module" });
+    previewWorker.onmessage = ({ data }) => {
+      previewReplies.get(data.requestId)?.(data.results);
+      previewReplies.delete(data.requestId);
+    };
+  }
+  const requestId = ++previewRequests;
+  return new Promise((resolve) => {
+    previewReplies.set(requestId, resolve);
+    previewWorker.postMessage({ type: "preview", requestId, submissions, opponentId, options });
+  });
+}
+
+// Preview results ({ id, scoreA, scoreB, payoffsA } or null, one per submission; see
+// previewSubmissions for the histories) once the inputs have been still for PREVIEW_DEBOUNCE_MS.
+// The previous results stay up until the new ones arrive; answers to superseded requests are dropped.
+function usePreviews(submissions, opponentId, options) {
+  const [results, setResults] = useState(null);
+  const key = JSON.stringify([submissions, opponentId, options]);
+  useEffect(() => {
+    let current = true;
+    const timer = setTimeout(() => {
+      requestPreviews(submissions, opponentId, options).then((r) => {
+        if (current) {
+          setResults(r.map((result, i) => result && { id: submissions[i].id, ...result }));
+        }
+      });
+    }, PREVIEW_DEBOUNCE_MS);
+    return () => {
+      current = false;
+      clearTimeout(timer);
+    };
+  }, [key]);
+  return results;
+}
+
+// Full-width panel for one of the strategy builders
+function BuilderCard({ title, children }) {
+  return (
+    <div className="md:col-span-2 xl:col-span-3 bg-black/30 p-2 sm:p-3 rounded-xl border border-white/10">
+      <h3 className="text-base md:text-lg font-bold mb-2">{title}</h3>
+      {children}
+    </div>
+  );
+}
+
+// A builder's submissions in the fishbowl (those of `kind`; undefined for code): click one to
+// load it back into the builder, ✕ to remove it. describe gives a chip's hover text.
+function SubmissionChips({ submissions, kind, onChange, onLoad, disabled, describe, loadHint }) {
+  const mine = submissions.filter(s => s.kind === kind);
+  if (mine.length === 0) {
+    return null;
+  }
+  return (
+    <ul className="mt-2 flex flex-wrap gap-2 text-xs">
+      {mine.map(s => (
+        <li key={s.id} className="flex items-center gap-1 bg-white/10 rounded-full pl-2 pr-1 py-0.5">
+          <button className="hover:text-blue-300" onClick={() => onLoad(s)} title={describe ? describe(s) : loadHint}>{s.name}</button>
+          <button
+            className="px-1 text-white/60 hover:text-rose-300 disabled:opacity-60"
+            onClick={() => onChange(submissions.filter(x => x.id !== s.id))}
+            disabled={disabled}
+            title="Remove from the fishbowl"
+          >
+            ✕
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// Editor for user-written strategies. Submissions are vetted before they join the roster;
+// adding one with an existing name replaces it.
+function StrategyEditorCard({ submissions, onChange, disabled }) {
+  const [name, setName] = useState("My Strategy");
+  const [source, setSource] = useState(STARTER_SOURCE);
+  const [budgetMs, setBudgetMs] = useState(DEFAULT_MOVE_BUDGET_MS);
+  const [status, setStatus] = useState(null); // { kind: "checking" | "error" | "ok", text }
+
+  const submit = async () => {
+    const trimmed = name.trim() || "My Strategy";
+    const submission = { id: submissionId(submissions, undefined, trimmed), name: trimmed, source, budgetMs };
+    setStatus({ kind: "checking", text: "Playing test matches in the sandbox…" });
+    const result = await vetInSandbox(submission);
+    if (!result.ok) {
+      setStatus({ kind: "error", text: result.error });
+      return;
+    }
+    onChange(withSubmission(submissions, submission));
+    setStatus({ kind: "ok", text: `${trimmed} passed and joined the fishbowl.` });
+  };
+
+  return (
+    <BuilderCard title="✍️ Write Your Own Strategy">
+      <div className="flex flex-wrap items-center gap-2 mb-2 text-xs text-white/70">
+        <label className="flex items-center gap-1">
+          Name
+          <input
+            className="w-40 bg-black/40 border border-white/20 rounded-lg px-2 py-1 text-white"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            maxLength={32}
+          />
+        </label>
+        <label className="flex items-center gap-1" title="A test-match move that takes longer than this keeps the strategy out of the fishbowl">
+          Budget per move (ms)
+          <input
+            type="number"
+            min={1}
+            max={50}
+            className="w-14 bg-black/40 border border-white/20 rounded-lg px-2 py-1 text-white"
+            value={budgetMs}
+            onChange={(e) => setBudgetMs(Math.max(1, Math.min(50, Number(e.target.value) || 1)))}
+          />
+        </label>
+        <button
+          className="px-3 py-1 rounded-lg bg-emerald-400 text-black font-semibold touch-feedback no-tap-highlight disabled:opacity-60"
+          onClick={submit}
+          disabled={disabled || status?.kind === "checking"}
+          title={disabled ? "Reset the run to change the roster" : "Vet the code in a sandbox, then add it to the fishbowl"}
+        >
+          Test & add
+        </button>
+      </div>
+      <textarea
+        className="w-full h-48 bg-black/50 border border-white/20 rounded-lg p-2 font-mono text-[11px] sm:text-xs text-emerald-100"
+        value={source}
+        onChange={(e) => setSource(e.target.value)}
+        spellCheck={false}
+      />
+      {status && (
+        <div className={`mt-1 text-[10px] sm:text-xs ${status.kind === "error" ? "text-rose-300" : status.kind === "ok" ? "text-emerald-300" : "text-white/70"}`}>
+          {status.kind === "error" ? "❌ " : status.kind === "ok" ? "✅ " : "⏳ "}{status.text}
+        </div>
+      )}
+      <SubmissionChips
+        submissions={submissions}
+        onChange={onChange}
+        onLoad={(s) => { setName(s.name); setSource(s.source); setBudgetMs(s.budgetMs); }}
+        disabled={disabled}
+        loadHint="Load into the editor"
+      />
+    </BuilderCard>
+  );
+}
+
+// State diagram for the FSM builder: states on a circle, green edges follow an opponent C,
+// red edges an opponent D. The start state has a double ring; click a state to edit it.
+function FsmDiagram({ fsm, selectedId, onSelect }) {
+  const width = 320;
+  const height = 210;
+  const radius = 20;
+  const ring = fsm.states.length > 1 ? 70 : 0;
+  const pos = new Map(fsm.states.map((state, i) => {
+    const angle = (i / fsm.states.length) * 2 * Math.PI - Math.PI / 2;
+    return [state.id, { x: width / 2 + Math.cos(angle) * ring, y: height / 2 + 8 + Math.sin(angle) * ring }];
+  }));
+  const colors = { onC: "#34d399", onD: "#f43f5e" };
+
+  const edge = (state, key) => {
+    const from = pos.get(state.id);
+    const to = pos.get(state[key]);
+    if (!from || !to) { return null; }
+    const label = key === "onC" ? "C" : "D";
+    if (state[key] === state.id) {
+      // Self-loop above the node, C to the left and D to the right
+      const side = key === "onC" ? -1 : 1;
+      const sx = from.x + side * 8;
+      const sy = from.y - radius + 2;
+      const d = `M ${sx} ${sy} C ${sx + side * 30} ${sy - 42}, ${sx + side * 2} ${sy - 46}, ${from.x + side * 2} ${from.y - radius - 1}`;
+      return (
+        <g key={`${state.id}-${key}`}>
+          <path d={d} fill="none" stroke={colors[key]} strokeWidth={1.5} markerEnd={`url(#fsm-arrow-${key})`} />
+          <text x={sx + side * 20} y={sy - 36} fill={colors[key]} fontSize={10} textAnchor="middle">{label}</text>
+        </g>
+      );
+    }
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const len = Math.hypot(dx, dy) || 1;
+    const bend = key === "onC" ? 14 : 32;
+    const cx = (from.x + to.x) / 2 - (dy / len) * bend;
+    const cy = (from.y + to.y) / 2 + (dx / len) * bend;
+    const trim = (p, r) => {
+      const vx = cx - p.x;
+      const vy = cy - p.y;
+      const vl = Math.hypot(vx, vy) || 1;
+      return { x: p.x + (vx / vl) * r, y: p.y + (vy / vl) * r };
+    };
+    const a = trim(from, radius);
+    const b = trim(to, radius + 3);
+    return (
+      <g key={`${state.id}-${key}`}>
+        <path d={`M ${a.x} ${a.y} Q ${cx} ${cy} ${b.x} ${b.y}`} fill="none" stroke={colors[key]} strokeWidth={1.5} markerEnd={`url(#fsm-arrow-${key})`} />
+        <text x={(a.x + 2 * cx + b.x) / 4} y={(a.y + 2 * cy + b.y) / 4} fill={colors[key]} fontSize={10} textAnchor="middle">{label}</text>
+      </g>
+    );
+  };
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full max-w-sm bg-black/30 rounded-lg">
+      <defs>
+        {Object.entries(colors).map(([key, color]) => (
+          <marker key={key} id={`fsm-arrow-${key}`} viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+            <path d="M 0 0 L 10 5 L 0 10 z" fill={color} />
+          </marker>
+        ))}
+      </defs>
+      {fsm.states.flatMap(state => [edge(state, "onC"), edge(state, "onD")])}
+      {fsm.states.map(state => {
+        const { x, y } = pos.get(state.id);
+        return (
+          <g key={state.id} className="cursor-pointer" onClick={() => onSelect(state.id)}>
+            {fsm.start === state.id && <circle cx={x} cy={y} r={radius + 4} fill="none" stroke="#fff" strokeOpacity={0.6} />}
+            <circle
+              cx={x}
+              cy={y}
+              r={radius}
+              fill={state.move === "C" ? "#065f46" : "#881337"}
+              stroke={selectedId === state.id ? "#fde047" : "#ffffff55"}
+              strokeWidth={selectedId === state.id ? 2.5 : 1}
+            />
+            <text x={x} y={y - 2} fill="#fff" fontSize={9} textAnchor="middle">{(state.label || state.id).slice(0, 8)}</text>
+            <text x={x} y={y + 10} fill="#fff" fontSize={10} fontWeight="bold" textAnchor="middle">{state.move}</text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+// Build a strategy by drawing states and transitions instead of writing code. Machines are
+// plain JSON (import/export) and join the fishbowl as submissions of kind "fsm".
+function FsmBuilderCard({ submissions, onChange, disabled, config }) {
+  const [fsm, setFsm] = useState(FSM_PRESETS.grimTrigger);
+  const [selectedId, setSelectedId] = useState(FSM_PRESETS.grimTrigger.start);
+  const [opponentId, setOpponentId] = useState("TIT_FOR_TAT");
+  const [jsonText, setJsonText] = useState("");
+  const [message, setMessage] = useState(null); // { kind: "error" | "ok", text }
+  const issues = useMemo(() => validateFsm(fsm), [fsm]);
+  const selected = fsm.states.find(s => s.id === selectedId);
+  const opponents = listStrategies();
+  // An invalid machine asks for no preview, which clears the last one
+  const [preview] = usePreviews(
+    issues.length === 0 ? [{ id: "preview", kind: "fsm", name: fsm.name, fsm }] : [],
+    opponentId,
+    { config, rounds: config.rounds, histories: true }
+  ) || [];
+  const inputClass = "bg-black/40 border border-white/20 rounded-lg px-2 py-1 text-white";
+
+  const updateState = (id, patch) => setFsm(f => ({ ...f, states: f.states.map(s => (s.id === id ? { ...s, ...patch } : s)) }));
+  const addState = () => {
+    let n = fsm.states.length + 1;
+    while (fsm.states.some(s => s.id === `s${n}`)) { n++; }
+    const id = `s${n}`;
+    setFsm(f => ({ ...f, states: [...f.states, { id, label: `State ${n}`, move: "C", onC: id, onD: id }] }));
+    setSelectedId(id);
+  };
+  const deleteState = (id) => {
+    const remaining = fsm.states.filter(s => s.id !== id);
+    const fallback = remaining[0].id;
+    const retarget = (target) => (target === id ? fallback : target);
+    setFsm(f => ({
+      ...f,
+      start: retarget(f.start),
+      states: remaining.map(s => ({ ...s, onC: retarget(s.onC), onD: retarget(s.onD) })),
+    }));
+    setSelectedId(fallback);
+  };
+  const load = (next) => {
+    setFsm(next);
+    setSelectedId(next.start);
+  };
+  const exportJson = () => {
+    const text = JSON.stringify(fsm, null, 2);
+    setJsonText(text);
+    const url = URL.createObjectURL(new Blob([text], { type: "application/json" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${(fsm.name || "strategy").replace(/\W+/g, "-")}.fsm.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+  const importJson = () => {
+    const { fsm: parsed, issues: parseIssues } = parseFsm(jsonText);
+    if (parseIssues.length > 0) {
+      setMessage({ kind: "error", text: parseIssues.join(" ") });
+      return;
+    }
+    load({ name: "Imported Machine", ...parsed });
+    setMessage({ kind: "ok", text: "Machine imported." });
+  };
+  const addToFishbowl = () => {
+    const name = (fsm.name || "").trim() || "My Machine";
+    onChange(withSubmission(submissions, { id: submissionId(submissions, "fsm", name), kind: "fsm", name, fsm: { ...fsm, name } }));
+    setMessage({ kind: "ok", text: `${name} joined the fishbowl.` });
+  };
+
+  return (
+    <BuilderCard title="🧩 Strategy Machine Builder">
+      <div className="flex flex-wrap items-center gap-2 mb-2 text-xs text-white/70">
+        <label className="flex items-center gap-1">
+          Name
+          <input className={`w-40 ${inputClass}`} value={fsm.name} maxLength={32} onChange={(e) => setFsm(f => ({ ...f, name: e.target.value }))} />
+        </label>
+        <label className="flex items-center gap-1">
+          Start from
+          <select className={inputClass} value="" onChange={(e) => e.target.value && load(FSM_PRESETS[e.target.value])}>
+            <option value="">Preset…</option>
+            {Object.entries(FSM_PRESETS).map(([key, preset]) => (<option key={key} value={key}>{preset.name}</option>))}
+          </select>
+        </label>
+        <button className="px-2 py-1 rounded-lg bg-white/10 hover:bg-white/20 touch-feedback no-tap-highlight" onClick={addState}>+ State</button>
+        <button
+          className="px-3 py-1 rounded-lg bg-emerald-400 text-black font-semibold touch-feedback no-tap-highlight disabled:opacity-60"
+          onClick={addToFishbowl}
+          disabled={disabled || issues.length > 0}
+          title={disabled ? "Reset the run to change the roster" : "Add this machine to the fishbowl"}
+        >
+          Add to fishbowl
+        </button>
+      </div>
+
+      <div className="flex flex-col md:flex-row gap-3">
+        <div className="flex-1">
+          <FsmDiagram fsm={fsm} selectedId={selectedId} onSelect={setSelectedId} />
+          <div className="mt-1 text-[10px] text-white/50">Green arrows: opponent played C. Red arrows: opponent played D. Double ring: start state.</div>
+        </div>
+        <div className="flex-1 space-y-2 text-xs text-white/80">
+          {selected && (
+            <div className="bg-white/5 rounded-lg p-2 space-y-1.5">
+              <div className="flex items-center gap-2">
+                <input className={`w-28 ${inputClass}`} value={selected.label} maxLength={16} onChange={(e) => updateState(selected.id, { label: e.target.value })} />
+                {["C", "D"].map(move => (
+                  <button
+                    key={move}
+                    className={`px-2 py-1 rounded-lg font-bold ${selected.move === move ? (move === "C" ? "bg-emerald-500 text-black" : "bg-rose-500 text-black") : "bg-white/10"}`}
+                    onClick={() => updateState(selected.id, { move })}
+                  >
+                    {move}
+                  </button>
+                ))}
+              </div>
+              {[["onC", "If they cooperate, go to"], ["onD", "If they defect, go to"]].map(([key, label]) => (
+                <label key={key} className="flex items-center gap-1">
+                  {label}
+                  <select className={inputClass} value={selected[key]} onChange={(e) => updateState(selected.id, { [key]: e.target.value })}>
+                    {fsm.states.map(s => (<option key={s.id} value={s.id}>{s.label || s.id}</option>))}
+                  </select>
+                </label>
+              ))}
+              <div className="flex gap-2">
+                <button className="px-2 py-1 rounded-lg bg-white/10 hover:bg-white/20 disabled:opacity-60" onClick={() => setFsm(f => ({ ...f, start: selected.id }))} disabled={fsm.start === selected.id}>
+                  Make start
+                </button>
+                <button className="px-2 py-1 rounded-lg bg-white/10 hover:bg-rose-500/40 disabled:opacity-60" onClick={() => deleteState(selected.id)} disabled={fsm.states.length < 2}>
+                  Delete
+                </button>
+              </div>
+            </div>
+          )}
+          {issues.length > 0 && (
+            <ul className="text-amber-200 list-disc pl-4">{issues.map(issue => (<li key={issue}>{issue}</li>))}</ul>
+          )}
+          <label className="flex items-center gap-1">
+            Preview against
+            <select className={inputClass} value={opponentId} onChange={(e) => setOpponentId(e.target.value)}>
+              {opponents.map(o => (<option key={o.id} value={o.id}>{o.name}</option>))}
+            </select>
+          </label>
+          {preview && (
+            <>
+              <MatchTimeline match={{ A: fsm.name || "Your machine", B: opponents.find(o => o.id === opponentId)?.name, historyA: preview.historyA, historyB: preview.historyB, complete: true }} />
+              <div className="text-white/60">Score {preview.scoreA} : {preview.scoreB}</div>
+            </>
+          )}
+        </div>
+      </div>
+
+      <div className="mt-2 flex flex-wrap items-start gap-2 text-xs">
+        <textarea
+          className="flex-1 min-w-[12rem] h-20 bg-black/50 border border-white/20 rounded-lg p-2 font-mono text-[10px] text-emerald-100"
+          placeholder="Paste exported machine JSON here to import it"
+          value={jsonText}
+          onChange={(e) => setJsonText(e.target.value)}
+          spellCheck={false}
+        />
+        <div className="flex flex-col gap-1">
+          <button className="px-2 py-1 rounded-lg bg-white/10 hover:bg-white/20" onClick={exportJson}>Export JSON</button>
+          <button className="px-2 py-1 rounded-lg bg-white/10 hover:bg-white/20" onClick={importJson}>Import JSON</button>
+        </div>
+      </div>
+      {message && (
+        <div className={`mt-1 text-[10px] sm:text-xs ${message.kind === "error" ? "text-rose-300" : "text-emerald-300"}`}>{message.text}</div>
+      )}
+      <SubmissionChips submissions={submissions} kind="fsm" onChange={onChange} onLoad={(s) => load(s.fsm)} disabled={disabled} loadHint="Load into the builder" />
+    </BuilderCard>
+  );
+}
+
+// Long preview so memory-one averages settle near their long-run values
+const MEMORY_ONE_PREVIEW_ROUNDS = 2000;
+const MEMORY_ONE_LABELS = {
+  CC: "After CC (both cooperated)",
+  CD: "After CD (I was exploited)",
+  DC: "After DC (I exploited them)",
+  DD: "After DD (both defected)",
+};
+
+// Slider panel for memory-one strategies: four cooperation probabilities plus the opening move.
+// The preview (played in the preview worker) shows long-run averages, and for a PD the ratio of
+// surpluses over P, which an extortionate zero-determinant strategy pins at chi whatever the
+// opponent does.
+function MemoryOneCard({ submissions, onChange, disabled, config }) {
+  const payoffs = resolvePayoffs(config);
+  const presets = memoryOnePresets(payoffs);
+  const [strategy, setStrategy] = useState({ p: presets[0].p, opening: presets[0].opening });
+  const [name, setName] = useState(presets[0].name);
+  const [opponentId, setOpponentId] = useState("C_ALWAYS");
+  const [message, setMessage] = useState(null);
+  const opponents = listStrategies();
+  const inputClass = "bg-black/40 border border-white/20 rounded-lg px-2 py-1 text-white";
+
+  const [preview] = usePreviews([{ id: "preview", kind: "memoryOne", name, strategy }], opponentId, { config, rounds: MEMORY_ONE_PREVIEW_ROUNDS }) || [];
+  const avgA = preview ? preview.scoreA / MEMORY_ONE_PREVIEW_ROUNDS : 0;
+  const avgB = preview ? preview.scoreB / MEMORY_ONE_PREVIEW_ROUNDS : 0;
+  const isPD = payoffs.T > payoffs.R && payoffs.R > payoffs.P && payoffs.P > payoffs.S;
+  const surplusRatio = isPD && Math.abs(avgB - payoffs.P) > 0.05 ? (avgA - payoffs.P) / (avgB - payoffs.P) : null;
+
+  const addToFishbowl = () => {
+    const trimmed = name.trim() || "Memory-one";
+    onChange(withSubmission(submissions, { id: submissionId(submissions, "memoryOne", trimmed), kind: "memoryOne", name: trimmed, strategy }));
+    setMessage(`${trimmed} joined the fishbowl.`);
+  };
+
+  return (
+    <BuilderCard title="🎚️ Memory-One and Zero-Determinant Strategies">
+      <div className="flex flex-wrap items-center gap-2 mb-2 text-xs text-white/70">
+        {presets.map(preset => (
+          <button
+            key={preset.id}
+            className="px-2 py-1 rounded-lg bg-white/10 hover:bg-white/20 touch-feedback no-tap-highlight"
+            onClick={() => { setStrategy({ p: preset.p, opening: preset.opening }); setName(preset.name); }}
+            title={preset.chi ? `Extortionate ZD: your surplus over P is ${preset.chi}x the opponent's` : undefined}
+          >
+            {preset.name}
+          </button>
+        ))}
+        {!isPD && <span className="text-amber-200">Extortion presets need a Prisoner's Dilemma matrix.</span>}
+      </div>
+      <div className="flex flex-col md:flex-row gap-3 text-xs text-white/80">
+        <div className="flex-1 space-y-1.5">
+          {OUTCOMES.map(outcome => (
+            <label key={outcome} className="flex items-center gap-2">
+              <span className="w-44">{MEMORY_ONE_LABELS[outcome]}</span>
+              <input
+                type="range"
+                min={0}
+                max={1}
+                step={0.01}
+                className="flex-1"
+                value={strategy.p[outcome]}
+                onChange={(e) => setStrategy(st => ({ ...st, p: { ...st.p, [outcome]: Number(e.target.value) } }))}
+              />
+              <span className="w-10 text-right font-mono">{Math.round(strategy.p[outcome] * 100)}%</span>
+            </label>
+          ))}
+          <div className="flex items-center gap-2">
+            <span className="w-44">Opening move</span>
+            {["C", "D"].map(move => (
+              <button
+                key={move}
+                className={`px-2 py-1 rounded-lg font-bold ${strategy.opening === move ? (move === "C" ? "bg-emerald-500 text-black" : "bg-rose-500 text-black") : "bg-white/10"}`}
+                onClick={() => setStrategy(st => ({ ...st, opening: move }))}
+              >
+                {move}
+              </button>
+            ))}
+          </div>
+          <div className="flex items-center gap-2">
+            <input className={`w-40 ${inputClass}`} value={name} maxLength={32} onChange={(e) => setName(e.target.value)} />
+            <button
+              className="px-3 py-1 rounded-lg bg-emerald-400 text-black font-semibold touch-feedback no-tap-highlight disabled:opacity-60"
+              onClick={addToFishbowl}
+              disabled={disabled}
+              title={disabled ? "Reset the run to change the roster" : "Add this strategy to the fishbowl"}
+            >
+              Add to fishbowl
+            </button>
+          </div>
+          {message && <div className="text-emerald-300">{message}</div>}
+        </div>
+        <div className="flex-1 space-y-2">
+          <label className="flex items-center gap-1">
+            Preview against
+            <select className={inputClass} value={opponentId} onChange={(e) => setOpponentId(e.target.value)}>
+              {opponents.map(o => (<option key={o.id} value={o.id}>{o.name}</option>))}
+            </select>
+          </label>
+          {preview && (
+            <div className="bg-white/5 rounded-lg p-2 space-y-1">
+              <div>Average per round over {MEMORY_ONE_PREVIEW_ROUNDS} rounds: <span className="font-mono">{avgA.toFixed(2)}</span> vs <span className="font-mono">{avgB.toFixed(2)}</span></div>
+              {surplusRatio !== null && (
+                <div>Surplus over P = {payoffs.P}: <span className="font-mono">{(avgA - payoffs.P).toFixed(2)}</span> vs <span className="font-mono">{(avgB - payoffs.P).toFixed(2)}</span>, ratio <span className="font-mono">{surplusRatio.toFixed(2)}</span></div>
+              )}
+              <p className="text-white/60">
+                An extortioner (Press and Dyson, 2012) fixes that ratio at χ against every opponent: the more the opponent earns, the more the extortioner earns on top. It never loses a head-to-head match, but two extortioners fall into mutual defection.
+              </p>
+            </div>
+          )}
+        </div>
+      </div>
+      <SubmissionChips
+        submissions={submissions}
+        kind="memoryOne"
+        onChange={onChange}
+        onLoad={(s) => { setStrategy(s.strategy); setName(s.name); }}
+        disabled={disabled}
+        loadHint="Load into the sliders"
+      />
+    </BuilderCard>
+  );
+}
+
+// Lab presets: the original agent plus variants that each change one idea
+const Q_LAB_PRESETS = [
+  { id: "original", name: "Original Q-Learner", config: DEFAULT_Q_CONFIG },
+  {
+    id: "annealed",
+    name: "Annealed Q-Learner",
+    config: {
+      ...DEFAULT_Q_CONFIG,
+      epsilon: { start: 0.5, schedule: "exponential", rate: 0.005, floor: 0.01 },
+      alpha: { start: 0.3, schedule: "inverse", rate: 0.01, floor: 0.05 },
+    },
+  },
+  { id: "twoSided", name: "Two-Sided Q-Learner", config: { ...DEFAULT_Q_CONFIG, opponentMemory: 2, selfMemory: 2 } },
+  { id: "clockwatcher", name: "Clock-Watching Q-Learner", config: { ...DEFAULT_Q_CONFIG, opponentMemory: 1, roundCap: ITERATED_LENGTH } },
+];
+// Long enough for decaying rates to matter; the first and last windows show what was learned
+const Q_PREVIEW_ROUNDS = 1000;
+const Q_PREVIEW_WINDOW = 100;
+
+// Per-round average of a slice of preview payoffs
+const windowAverage = (payoffs) => payoffs.reduce((sum, payoff) => sum + payoff, 0) / Math.max(1, payoffs.length);
+
+// Start value, schedule, rate and floor for one decaying hyperparameter
+function DecayControls({ label, value, onChange, inputClass }) {
+  const set = (field, v) => onChange({ ...value, [field]: v });
+  return (
+    <div className="flex flex-wrap items-center gap-1.5">
+      <span className="w-24">{label}</span>
+      <input type="number" min={0} max={1} step={0.01} className={`w-16 ${inputClass}`} value={value.start} onChange={(e) => set("start", Number(e.target.value))} />
+      <select className={inputClass} value={value.schedule} onChange={(e) => set("schedule", e.target.value)}>
+        {Object.entries(DECAY_SCHEDULES).map(([id, name]) => (<option key={id} value={id}>{name}</option>))}
+      </select>
+      {value.schedule !== "constant" && (
+        <>
+          <label className="flex items-center gap-1">rate
+            <input type="number" min={0} step={0.001} className={`w-20 ${inputClass}`} value={value.rate} onChange={(e) => set("rate", Number(e.target.value))} />
+          </label>
+          <label className="flex items-center gap-1">floor
+            <input type="number" min={0} max={1} step={0.01} className={`w-16 ${inputClass}`} value={value.floor} onChange={(e) => set("floor", Number(e.target.value))} />
+          </label>
+        </>
+      )}
+    </div>
+  );
+}
+
+// Q-learning lab: tune hyperparameters, decay schedules and the state encoding, field several
+// variants at once as submissions of kind "qLearner", and compare them in one long preview match
+// each, played in the preview worker
+function QLearningLabCard({ submissions, onChange, disabled, config }) {
+  const [qConfig, setQConfig] = useState(DEFAULT_Q_CONFIG);
+  const [name, setName] = useState(Q_LAB_PRESETS[0].name);
+  const [opponentId, setOpponentId] = useState("TIT_FOR_TAT");
+  const [message, setMessage] = useState(null);
+  const opponents = listStrategies();
+  const variants = useMemo(() => submissions.filter(s => s.kind === "qLearner"), [submissions]);
+  const inputClass = "bg-black/40 border border-white/20 rounded-lg px-2 py-1 text-white";
+  const set = (field, v) => setQConfig(c => ({ ...c, [field]: v }));
+
+  const rows = useMemo(
+    () => [{ id: "draft", kind: "qLearner", name: `${name.trim() || "Draft"} (draft)`, config: qConfig }, ...variants],
+    [qConfig, name, variants]
+  );
+  const previews = usePreviews(rows, opponentId, { config, rounds: Q_PREVIEW_ROUNDS });
+  // A row added since the last answer appears once the worker has played it
+  const comparison = rows.map(row => {
+    const preview = previews?.find(p => p?.id === row.id);
+    return preview && {
+      id: row.id,
+      name: row.name,
+      first: windowAverage(preview.payoffsA.slice(0, Q_PREVIEW_WINDOW)),
+      last: windowAverage(preview.payoffsA.slice(-Q_PREVIEW_WINDOW)),
+      overall: preview.scoreA / Q_PREVIEW_ROUNDS,
+      epsilon: decayed(row.config.epsilon, Q_PREVIEW_ROUNDS),
+    };
+  }).filter(Boolean);
+
+  const addVariant = () => {
+    const trimmed = name.trim() || "Q-Learner";
+    onChange(withSubmission(submissions, { id: submissionId(submissions, "qLearner", trimmed), kind: "qLearner", name: trimmed, config: qConfig }));
+    setMessage(`${trimmed} joined the fishbowl.`);
+  };
+
+  return (
+    <BuilderCard title="🧪 Q-Learning Lab">
+      <div className="flex flex-wrap items-center gap-2 mb-2 text-xs">
+        {Q_LAB_PRESETS.map(preset => (
+          <button
+            key={preset.id}
+            className="px-2 py-1 rounded-lg bg-white/10 hover:bg-white/20 touch-feedback no-tap-highlight"
+            onClick={() => { setQConfig(preset.config); setName(preset.name); }}
+          >
+            {preset.name}
+          </button>
+        ))}
+      </div>
+      <div className="flex flex-col md:flex-row gap-3 text-xs text-white/80">
+        <div className="flex-1 space-y-1.5">
+          <DecayControls label="Exploration ε" value={qConfig.epsilon} onChange={(v) => set("epsilon", v)} inputClass={inputClass} />
+          <DecayControls label="Learning rate α" value={qConfig.alpha} onChange={(v) => set("alpha", v)} inputClass={inputClass} />
+          <label className="flex items-center gap-2">
+            <span className="w-24">Discount γ</span>
+            <input type="range" min={0} max={0.99} step={0.01} className="flex-1" value={qConfig.gamma} onChange={(e) => set("gamma", Number(e.target.value))} />
+            <span className="w-10 text-right font-mono">{qConfig.gamma.toFixed(2)}</span>
+          </label>
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="w-24">State</span>
+            <label className="flex items-center gap-1">opponent moves
+              <input type="number" min={0} max={6} className={`w-14 ${inputClass}`} value={qConfig.opponentMemory} onChange={(e) => set("opponentMemory", Math.max(0, Math.min(6, Math.round(Number(e.target.value)))))} />
+            </label>
+            <label className="flex items-center gap-1">own moves
+              <input type="number" min={0} max={6} className={`w-14 ${inputClass}`} value={qConfig.selfMemory} onChange={(e) => set("selfMemory", Math.max(0, Math.min(6, Math.round(Number(e.target.value)))))} />
+            </label>
+            <label className="flex items-center gap-1" title="0 leaves the round index out of the state">round index up to
+              <input type="number" min={0} max={100} className={`w-16 ${inputClass}`} value={qConfig.roundCap} onChange={(e) => set("roundCap", Math.max(0, Math.min(100, Math.round(Number(e.target.value)))))} />
+            </label>
+          </div>
+          <div className="flex items-center gap-2">
+            <input className={`w-48 ${inputClass}`} value={name} maxLength={32} onChange={(e) => setName(e.target.value)} />
+            <button
+              className="px-3 py-1 rounded-lg bg-emerald-400 text-black font-semibold touch-feedback no-tap-highlight disabled:opacity-60"
+              onClick={addVariant}
+              disabled={disabled}
+              title={disabled ? "Reset the run to change the roster" : "Add this variant to the fishbowl"}
+            >
+              Add variant
+            </button>
+          </div>
+          {message && <div className="text-emerald-300">{message}</div>}
+          <SubmissionChips
+            submissions={submissions}
+            kind="qLearner"
+            onChange={onChange}
+            onLoad={(s) => { setQConfig(s.config); setName(s.name); }}
+            disabled={disabled}
+            describe={(s) => describeQConfig(s.config)}
+          />
+        </div>
+        <div className="flex-1 space-y-2">
+          <label className="flex items-center gap-1">
+            Compare against
+            <select className={inputClass} value={opponentId} onChange={(e) => setOpponentId(e.target.value)}>
+              {opponents.map(o => (<option key={o.id} value={o.id}>{o.name}</option>))}
+            </select>
+          </label>
+          <table className="w-full bg-white/5 rounded-lg">
+            <thead className="text-white/60">
+              <tr>
+                <th className="text-left p-1">Variant</th>
+                <th className="text-right p-1" title={`Average payoff over the first ${Q_PREVIEW_WINDOW} rounds`}>First {Q_PREVIEW_WINDOW}</th>
+                <th className="text-right p-1" title={`Average payoff over the last ${Q_PREVIEW_WINDOW} rounds`}>Last {Q_PREVIEW_WINDOW}</th>
+                <th className="text-right p-1">All {Q_PREVIEW_ROUNDS}</th>
+                <th className="text-right p-1" title="Exploration rate after the preview">Final ε</th>
+              </tr>
+            </thead>
+            <tbody className="font-mono">
+              {comparison.map(row => (
+                <tr key={row.id}>
+                  <td className="p-1 font-sans truncate">{row.name}</td>
+                  <td className="p-1 text-right">{row.first.toFixed(2)}</td>
+                  <td className="p-1 text-right">{row.last.toFixed(2)}</td>
+                  <td className="p-1 text-right">{row.overall.toFixed(2)}</td>
+                  <td className="p-1 text-right">{row.epsilon.toFixed(3)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-white/60">
+            Each variant plays one long match from a blank Q-table. Richer states can represent more (own moves catch echo effects, the round index can learn the endgame) but take longer to fill in; decaying ε explores early and exploits later. In the fishbowl the variants keep learning across matches.
+          </p>
+        </div>
+      </div>
+    </BuilderCard>
+  );
+}
+
+// Meta-Strategist variants: pick the bandit policy, the scope of its statistics and whether
+// agreeing arms share credit, then field them side by side as submissions of kind "bandit"
+function BanditCard({ submissions, onChange, disabled }) {
+  const [banditConfig, setBanditConfig] = useState({ ...DEFAULT_BANDIT_CONFIG, policy: "thompson" });
+  const [name, setName] = useState("Meta-Strategist (Thompson)");
+  const [message, setMessage] = useState(null);
+  const inputClass = "bg-black/40 border border-white/20 rounded-lg px-2 py-1 text-white";
+  const set = (field, value) => setBanditConfig(c => ({ ...c, [field]: value }));
+
+  const addVariant = () => {
+    const trimmed = name.trim() || "Meta-Strategist Variant";
+    onChange(withSubmission(submissions, { id: submissionId(submissions, "bandit", trimmed), kind: "bandit", name: trimmed, config: banditConfig }));
+    setMessage(`${trimmed} joined the fishbowl.`);
+  };
+
+  return (
+    <BuilderCard title="🎰 Meta-Strategist Bandits">
+      <p className="text-xs text-white/60 mb-2">
+        The Meta-Strategist treats six sub-strategies as slot-machine arms ({BANDIT_ARMS.map(arm => arm.name).join(", ")}). UCB1 is optimistic about arms it knows little about, Thompson sampling plays each arm as often as it is likely to be the best, and Exp3 randomises so that no opponent can predict and exploit its choice. Hover a Meta-Strategist to see its portfolio weights.
+      </p>
+      <div className="flex flex-wrap items-center gap-2 text-xs text-white/80">
+        <label className="flex items-center gap-1">Policy
+          <select className={inputClass} value={banditConfig.policy} onChange={(e) => set("policy", e.target.value)}>
+            {Object.entries(BANDIT_POLICIES).map(([id, label]) => (<option key={id} value={id}>{label}</option>))}
+          </select>
+        </label>
+        <label className="flex items-center gap-1" title="Per-opponent statistics are kept separately for each opponent, across matches">Statistics
+          <select className={inputClass} value={banditConfig.scope} onChange={(e) => set("scope", e.target.value)}>
+            {Object.entries(BANDIT_SCOPES).map(([id, label]) => (<option key={id} value={id}>{label}</option>))}
+          </select>
+        </label>
+        <label className="flex items-center gap-1" title="Also score the arms that were not played, by what their move would have earned against the opponent's move">
+          <input type="checkbox" checked={banditConfig.counterfactual} onChange={(e) => set("counterfactual", e.target.checked)} />
+          Counterfactual scoring
+        </label>
+        <label className="flex items-center gap-1" title="Rounds between arm pulls">Re-pull every
+          <input type="number" min={1} max={50} className={`w-14 ${inputClass}`} value={banditConfig.epoch} onChange={(e) => set("epoch", Math.max(1, Math.min(50, Math.round(Number(e.target.value)))))} />
+          rounds
+        </label>
+      </div>
+      <div className="mt-2 flex flex-wrap items-center gap-2 text-xs">
+        <input className={`w-56 ${inputClass}`} value={name} maxLength={32} onChange={(e) => setName(e.target.value)} />
+        <button
+          className="px-3 py-1 rounded-lg bg-emerald-400 text-black font-semibold touch-feedback no-tap-highlight disabled:opacity-60"
+          onClick={addVariant}
+          disabled={disabled}
+          title={disabled ? "Reset the run to change the roster" : "Add this variant to the fishbowl"}
+        >
+          Add variant
+        </button>
+        {message && <span className="text-emerald-300">{message}</span>}
+      </div>
+      <SubmissionChips
+        submissions={submissions}
+        kind="bandit"
+        onChange={onChange}
+        onLoad={(s) => { setBanditConfig(s.config); setName(s.name); }}
+        disabled={disabled}
+        describe={(s) => describeBanditConfig(s.config)}
+      />
+    </BuilderCard>
+  );
+}
+
+// Best and mean fitness per generation, scaled to the range the run covered
+function FitnessChart({ history }) {
+  const width = 300;
+  const height = 90;
+  const values = history.flatMap(h => [h.best, h.mean]);
+  const min = Math.min(...values);
+  const span = Math.max(0.01, Math.max(...values) - min);
+  const line = (key) => history
+    .map((h, i) => `${(i / Math.max(1, history.length - 1)) * width},${height - ((h[key] - min) / span) * height}`)
+    .join(" ");
+  return (
+    <div>
+      <svg viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" className="w-full" style={{ height }}>
+        <polyline points={line("mean")} fill="none" stroke="#a78bfa" strokeWidth={1.5} vectorEffect="non-scaling-stroke" />
+        <polyline points={line("best")} fill="none" stroke="#34d399" strokeWidth={1.5} vectorEffect="non-scaling-stroke" />
+      </svg>
+      <div className="flex justify-between text-[10px] text-white/50">
+        <span><span className="text-emerald-300">best</span> / <span className="text-violet-300">mean</span> payoff per round</span>
+        <span>{min.toFixed(2)} to {(min + span).toFixed(2)}</span>
+      </div>
+    </div>
+  );
+}
+
+// The 64-entry table as an 8x8 grid in index order (oldest round most significant) plus the
+// premise rounds
+function GenomeGrid({ genome }) {
+  return (
+    <div className="flex items-start gap-3">
+      <div className="grid grid-cols-8 gap-px" title="Move for each combination of the last three outcomes (oldest round most significant)">
+        {genome.slice(0, LOOKUP_TABLE).split("").map((move, i) => (
+          <div key={i} className={`w-3 h-3 rounded-sm ${move === "C" ? "bg-emerald-400" : "bg-rose-500"}`} />
+        ))}
+      </div>
+      <div className="text-[10px] text-white/60">
+        Premise<br />
+        <span className="font-mono">{genome.slice(LOOKUP_TABLE).match(/../g).join(" ")}</span>
+      </div>
+    </div>
+  );
+}
+
+// Evolve workbench: a genetic algorithm over lookup tables (Axelrod, 1987), run in a dedicated
+// worker against the current roster. The champion can join the fishbowl as a "lookup" submission
+// whose tooltip is generated from its table.
+function EvolveCard({ submissions, onChange, disabled, config }) {
+  const [options, setOptions] = useState(DEFAULT_EVOLVE_OPTIONS);
+  const [history, setHistory] = useState([]);
+  const [champion, setChampion] = useState(null); // { genome, fitness, generations }
+  const [running, setRunning] = useState(false);
+  const [name, setName] = useState("Evolved Table");
+  const [message, setMessage] = useState(null);
+  const workerRef = useRef(null);
+  const inputClass = "bg-black/40 border border-white/20 rounded-lg px-2 py-1 text-white";
+  const set = (field, value) => setOptions(o => ({ ...o, [field]: value }));
+
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  const stopWorker = () => {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+    setRunning(false);
+  };
+
+  const evolve = () => {
+    const worker = new Worker(new URL("./engine/worker.js", import.meta.url), { type: "module" });
+    worker.onmessage = ({ data }) => {
+      if (data.type === "evolveProgress") {
+        setHistory(h => [...h, { generation: data.generation, best: data.best, mean: data.mean }]);
+      } else if (data.type === "evolveResult") {
+        setChampion(data.result);
+        stopWorker();
+      }
+    };
+    worker.onerror = (e) => {
+      stopWorker();
+      setMessage(e.message || "Evolution failed.");
+    };
+    worker.postMessage({ type: "evolve", options: { ...options, config }, submissions });
+    workerRef.current = worker;
+    setHistory([]);
+    setChampion(null);
+    setMessage(null);
+    setRunning(true);
+  };
+
+  const profile = champion && lookupDefinition(champion.genome, "preview", name, champion).metadata;
+
+  const promote = () => {
+    const trimmed = name.trim() || "Evolved Table";
+    const origin = { generations: champion.generations, fitness: champion.fitness };
+    onChange(withSubmission(submissions, { id: submissionId(submissions, "lookup", trimmed), kind: "lookup", name: trimmed, genome: champion.genome, origin }));
+    setMessage(`${trimmed} joined the fishbowl.`);
+  };
+
+  return (
+    <BuilderCard title="🧬 Evolve Lookup-Table Strategies">
+      <p className="text-xs text-white/60 mb-2">
+        Axelrod's 1987 experiment: each genome is a table of moves for every combination of the last three rounds, plus three imaginary rounds that decide how it opens. Genomes play the whole roster under the current game settings; the fittest breed.
+      </p>
+      <div className="flex flex-wrap items-center gap-2 text-xs text-white/80 mb-2">
+        <label className="flex items-center gap-1">Population
+          <input type="number" min={4} max={100} className={`w-16 ${inputClass}`} value={options.populationSize} onChange={(e) => set("populationSize", Math.max(4, Math.min(100, Math.round(Number(e.target.value)))))} />
+        </label>
+        <label className="flex items-center gap-1">Generations
+          <input type="number" min={1} max={500} className={`w-16 ${inputClass}`} value={options.generations} onChange={(e) => set("generations", Math.max(1, Math.min(500, Math.round(Number(e.target.value)))))} />
+        </label>
+        <label className="flex items-center gap-1">Mutation
+          <input type="number" min={0} max={0.5} step={0.005} className={`w-20 ${inputClass}`} value={options.mutationRate} onChange={(e) => set("mutationRate", Math.max(0, Math.min(0.5, Number(e.target.value))))} />
+        </label>
+        <label className="flex items-center gap-1">Seed
+          <input type="number" min={0} className={`w-24 ${inputClass}`} value={options.seed} onChange={(e) => set("seed", normalizeSeed(e.target.value))} />
+        </label>
+        {running ? (
+          <button className="px-3 py-1 rounded-lg bg-rose-400 text-black font-semibold" onClick={stopWorker}>
+            Cancel ({history.length}/{options.generations})
+          </button>
+        ) : (
+          <button className="px-3 py-1 rounded-lg bg-emerald-400 text-black font-semibold touch-feedback no-tap-highlight" onClick={evolve}>
+            Evolve
+          </button>
+        )}
+      </div>
+      <div className="flex flex-col md:flex-row gap-3 text-xs text-white/80">
+        <div className="flex-1">
+          {history.length > 1 ? <FitnessChart history={history} /> : <div className="text-white/50">Fitness per generation appears here while the algorithm runs.</div>}
+        </div>
+        {champion && (
+          <div className="flex-1 space-y-2">
+            <GenomeGrid genome={champion.genome} />
+            <div className="text-white/70">{profile.reasoning}</div>
+            <div className="flex items-center gap-2">
+              <input className={`w-40 ${inputClass}`} value={name} maxLength={32} onChange={(e) => setName(e.target.value)} />
+              <button
+                className="px-3 py-1 rounded-lg bg-emerald-400 text-black font-semibold touch-feedback no-tap-highlight disabled:opacity-60"
+                onClick={promote}
+                disabled={disabled}
+                title={disabled ? "Reset the run to change the roster" : "Add the best genome to the fishbowl"}
+              >
+                Promote to fishbowl
+              </button>
+            </div>
+            {message && <div className="text-emerald-300">{message}</div>}
+          </div>
+        )}
+      </div>
+      <SubmissionChips
+        submissions={submissions}
+        kind="lookup"
+        onChange={onChange}
+        onLoad={(s) => { setChampion({ genome: s.genome, ...s.origin }); setName(s.name); }}
+        disabled={disabled}
+        loadHint="Show this genome again"
+      />
+    </BuilderCard>
+  );
+}
+
 export default function GameTheoryFishbowl() {
   const containerRef = useRef(null);
   const [agents, setAgents] = useState([]);
@@ -487,12 +1556,23 @@ export default function GameTheoryFishbowl() {
   const [fishbowlDimensions, setFishbowlDimensions] = useState({ width: 880, height: 520 });
   const [showMobileInstructions, setShowMobileInstructions] = useState(false);
   const [lastInteraction, setLastInteraction] = useState(null);
+  const [lastMatch, setLastMatch] = useState(null); // full round history of the latest match
   const agentRingRef = useRef(null); // stable ring meta for 3D scene
-  const rafIdRef = useRef(null);
-  const runningRef = useRef(false);
-  const lastTsRef = useRef(0);
-  const accRef = useRef(0);
-  const cadenceRef = useRef(700); // ms between matches; updated on start
+  const [playing, setPlaying] = useState(false); // worker is advancing; `running` stays true while paused
+  const [speedIndex, setSpeedIndex] = useState(DEFAULT_SPEED_INDEX);
+  const cadenceRef = useRef(SPEED_STEPS[DEFAULT_SPEED_INDEX]); // ms between matches; 0 = as fast as possible
+  const workerRef = useRef(null); // engine worker (see engine/worker.js)
+  const runIdRef = useRef(0); // bumped on every reset so stale worker updates are ignored
+  const simRef = useRef(null); // latest engine snapshot from the worker
+  const [seed, setSeed] = useState(() => randomSeed()); // same seed + same config => same run
+  const [config, setConfig] = useState(DEFAULT_CONFIG); // applied to the engine on start
+  const [generation, setGeneration] = useState(0); // Moran mode only
+  const [batchRuns, setBatchRuns] = useState(100);
+  const [batchProgress, setBatchProgress] = useState(null); // { done, runs } while a batch is running
+  const [batchResult, setBatchResult] = useState(null);
+  const [batchError, setBatchError] = useState(null);
+  const batchWorkerRef = useRef(null); // separate worker so a batch never stalls the live run
+  const [submissions, setSubmissions] = useState([]); // editor strategies in the roster
   const [showSplash, setShowSplash] = useState(true);
 
   // Responsive fishbowl dimensions
@@ -556,231 +1636,146 @@ export default function GameTheoryFishbowl() {
       : Math.min(fishbowlDimensions.width, fishbowlDimensions.height) * 0.32 // Original radius on desktop
   };
 
-  // Initialize agents
-  useEffect(() => {
-    const newAgents = [];
-    
-    // Add classic strategies
-    ClassicStrategies.forEach((strategy) => {
-      newAgents.push({
-        id: `classic_${strategy.id}`,
-        name: strategy.name,
-        strategy: strategy.fn,
-        score: 0,
-        history: [],
-        myHistory: [],
-        desc: strategy.desc,
-        reasoning: strategy.reasoning,
-        strengths: strategy.strengths,
-        weaknesses: strategy.weaknesses,
-        realWorld: strategy.realWorld,
-        performance: strategy.performance,
-        isClassic: true,
-        x: 0,
-        y: 0,
-        angle: 0,
-      });
-    });
+  // Mirror engine state into React state and the 3D ring meta (id + name + isClassic + model + score)
+  const syncFromSim = (sim) => {
+    agentRingRef.current = sim.agents.map(a => ({ 
+      id: a.id,
+      name: a.name, 
+      isClassic: a.isClassic, 
+      model: a.model,
+      score: standingScore(sim, a)
+    }));
+    setAgents(sim.agents);
+    setGeneration(sim.generation);
+  };
 
-    // Add adaptive agents
-    AdaptiveAgents.forEach((agent) => {
-      newAgents.push({
-        id: `adaptive_${agent.id}`,
-        name: agent.name,
-        strategy: agent.fn.bind(agent), // Bind the context
-        agent: agent, // Store reference for updates
-        score: 0,
-        history: [],
-        myHistory: [],
-        desc: agent.desc,
-        reasoning: agent.reasoning,
-        strengths: agent.strengths,
-        weaknesses: agent.weaknesses,
-        realWorld: agent.realWorld,
-        performance: agent.performanceProfile || agent.performance,
-        isClassic: false,
-        x: 0,
-        y: 0,
-        angle: 0,
+  // Show an engine step in the UI: 3D interaction, round timeline and standings
+  const publishStep = (sim, step) => {
+    if (step) {
+      const { agentA, agentB } = step;
+
+      // Update current interaction for 3D cinematic (non-blocking)
+      const lastARound = step.historyA[step.historyA.length - 1];
+      const lastBRound = step.historyB[step.historyB.length - 1];
+      const lastA = lastARound?.self;
+      const lastB = lastBRound?.self;
+      const pA = lastARound?.payoff ?? 0;
+      const pB = lastBRound?.payoff ?? 0;
+
+      startTransition(() => {
+        setLastInteraction({ A: agentA.name, B: agentB.name, aId: agentA.id, bId: agentB.id, aMove: lastA, bMove: lastB, pA, pB });
+        setLastMatch({ A: agentA.name, B: agentB.name, historyA: step.historyA, historyB: step.historyB, complete: step.complete });
       });
-    });
-
-    // Trim to AGENT_COUNT if we have too many
-    if (newAgents.length > AGENT_COUNT) {
-      newAgents.splice(AGENT_COUNT);
     }
 
-  setAgents(newAgents);
-  // Initialize a stable ring meta once (name + isClassic + score)
-  agentRingRef.current = newAgents.map(a => ({ 
-    name: a.name, 
-    isClassic: a.isClassic, 
-    score: a.score || 0 
-  }));
-  }, []);
+    // Update the ring with current scores; after a Moran generation this also swaps models
+    syncFromSim(sim);
+    setTick(sim.tick);
+  };
 
-  const playGame = (agentA, agentB) => {
-    const historyA = [];
-    const historyB = [];
-    let scoreA = 0;
-    let scoreB = 0;
-
-    for (let round = 0; round < ITERATED_LENGTH; round++) {
-      const moveA = agentA.strategy(historyA, agentA.myHistory);
-      const moveB = agentB.strategy(historyB, agentB.myHistory);
-
-      // Calculate payoffs
-      let payoffA, payoffB;
-      if (moveA === "C" && moveB === "C") {
-        payoffA = PD.R;
-        payoffB = PD.R;
-      } else if (moveA === "C" && moveB === "D") {
-        payoffA = PD.S;
-        payoffB = PD.T;
-      } else if (moveA === "D" && moveB === "C") {
-        payoffA = PD.T;
-        payoffB = PD.S;
-      } else {
-        payoffA = PD.P;
-        payoffB = PD.P;
+  // The engine runs in a worker and streams snapshots back, keeping the 3D scene smooth
+  useEffect(() => {
+    const worker = new Worker(new URL("./engine/worker.js", import.meta.url), { type: "module" });
+    worker.onmessage = ({ data }) => {
+      if (data.type !== "update" || data.runId !== runIdRef.current) { return; }
+      simRef.current = data.sim;
+      publishStep(data.sim, data.step);
+      if (data.finished) {
+        setPlaying(false);
+        setRunning(false);
       }
+    };
+    worker.postMessage({ type: "cadence", ms: cadenceRef.current });
+    worker.postMessage({ type: "init", runId: runIdRef.current, options: { seed, ...config } });
+    workerRef.current = worker;
+    return () => worker.terminate();
+  }, []);
 
-      scoreA += payoffA;
-      scoreB += payoffB;
+  // Start a fresh run: scores, histories and (unless kept) learning reset, replayed from the chosen seed
+  const beginRun = () => {
+    runIdRef.current++;
+    workerRef.current.postMessage({ type: "reset", runId: runIdRef.current, options: { seed, ...config } });
+    setTick(0);
+    setLog([]);
+    setLastInteraction(null);
+    setLastMatch(null);
+    setRunning(true);
+  };
 
-      // Update histories
-      historyA.push({ self: moveA, opponent: moveB, payoff: payoffA });
-      historyB.push({ self: moveB, opponent: moveA, payoff: payoffB });
-      
-      // Update agent histories
-      agentA.myHistory.push({ self: moveA, opponent: moveB, payoff: payoffA });
-      agentB.myHistory.push({ self: moveB, opponent: moveA, payoff: payoffB });
-
-      // Update learning agents
-      if (!agentA.isClassic && agentA.agent.updateQ) {
-        const state = agentA.agent.getState(historyA.slice(0, -1));
-        const nextState = agentA.agent.getState(historyA);
-        agentA.agent.updateQ(state, moveA, payoffA, nextState);
-      }
-      if (!agentB.isClassic && agentB.agent.updateQ) {
-        const state = agentB.agent.getState(historyB.slice(0, -1));
-        const nextState = agentB.agent.getState(historyB);
-        agentB.agent.updateQ(state, moveB, payoffB, nextState);
-      }
+  const pause = () => {
+    workerRef.current.postMessage({ type: "pause" });
+    setPlaying(false);
+  };
 
-      // Update pattern detectors
-      if (!agentA.isClassic && agentA.agent.updatePatterns) {
-        agentA.agent.updatePatterns(historyA);
-      }
-      if (!agentB.isClassic && agentB.agent.updatePatterns) {
-        agentB.agent.updatePatterns(historyB);
-      }
+  const play = () => {
+    if (!running) { beginRun(); }
+    workerRef.current.postMessage({ type: "play" });
+    setPlaying(true);
+  };
 
-      // Update meta-strategists
-      if (!agentA.isClassic && agentA.agent.updatePerformance) {
-        agentA.agent.updatePerformance(agentA.agent.currentStrategy, payoffA);
-      }
-      if (!agentB.isClassic && agentB.agent.updatePerformance) {
-        agentB.agent.updatePerformance(agentB.agent.currentStrategy, payoffB);
-      }
-    }
+  const togglePlay = () => (playing ? pause() : play());
 
-    return { scoreA, scoreB, historyA, historyB };
+  // Single-step by one match or one round; pauses playback first
+  const stepOnce = (unit) => {
+    if (!running) { beginRun(); }
+    workerRef.current.postMessage({ type: "step", unit });
+    setPlaying(false);
   };
 
-  const startSimulation = () => {
-    if (running) {
-      return;
-    }
-    setRunning(true);
-    runningRef.current = true;
-    setTick(0);
-    setLog([]);
-    
-    // Reset agent scores and histories
-    setAgents(prev => prev.map(agent => ({
-      ...agent,
-      score: 0,
-      history: [],
-      myHistory: []
-    })));
-
-  let currentTick = 0;
-  cadenceRef.current = 300; // consistent fast cadence
-
-  const runOneMatch = () => {
-      setAgents((currentAgents) => {
-        if (currentAgents.length < 2) {
-          return currentAgents;
-        }
-
-        // Pick two random agents
-        const indices = [];
-        while (indices.length < 2) {
-          const idx = Math.floor(Math.random() * currentAgents.length);
-          if (!indices.includes(idx)) {
-            indices.push(idx);
-          }
-        }
+  // Stop and rewind to an empty board with the current seed and config
+  const resetRun = () => {
+    beginRun();
+    setPlaying(false);
+    setRunning(false);
+  };
 
-        const [idxA, idxB] = indices;
-        const agentA = { ...currentAgents[idxA] };
-        const agentB = { ...currentAgents[idxB] };
-
-  const result = playGame(agentA, agentB);
-
-        agentA.score += result.scoreA;
-        agentB.score += result.scoreB;
-        agentA.history = result.historyA;
-        agentB.history = result.historyB;
-
-        const newAgents = [...currentAgents];
-        newAgents[idxA] = agentA;
-        newAgents[idxB] = agentB;
-
-        // Update current interaction for 3D cinematic (non-blocking)
-        const lastARound = result.historyA[result.historyA.length - 1];
-        const lastBRound = result.historyB[result.historyB.length - 1];
-        const lastA = lastARound?.self;
-        const lastB = lastBRound?.self;
-        const pA = lastARound?.payoff ?? 0;
-        const pB = lastBRound?.payoff ?? 0;
-        
-        startTransition(() => {
-          setLastInteraction({ A: agentA.name, B: agentB.name, aMove: lastA, bMove: lastB, pA, pB });
-        });
-
-  // Removed log list and chart updates UI; keep minimal state changes for 3D scene only
-
-        // Update the ring ref with current agent data including scores
-        agentRingRef.current = newAgents.map(a => ({ 
-          name: a.name, 
-          isClassic: a.isClassic, 
-          score: a.score || 0
-        }));
-
-        return newAgents;
-      });
-      setTick(currentTick);
-      currentTick++;
-      if (currentTick > 500) {
-        runningRef.current = false;
-        setRunning(false);
+  // Play batchRuns headless tournaments with the current settings in a throwaway worker
+  const runBatch = () => {
+    const worker = new Worker(new URL("./engine/worker.js", import.meta.url), { type: "module" });
+    worker.onmessage = ({ data }) => {
+      if (data.type === "batchProgress") {
+        setBatchProgress({ done: data.done, runs: data.runs });
+      } else if (data.type === "batchResult") {
+        setBatchResult(data.result);
+        setBatchProgress(null);
+        worker.terminate();
+        batchWorkerRef.current = null;
       }
     };
-
-    // RAF-driven scheduler for smooth pacing
-    const loop = (ts) => {
-      if (!runningRef.current) { cancelAnimationFrame(rafIdRef.current); rafIdRef.current = null; return; }
-      if (!lastTsRef.current) { lastTsRef.current = ts; }
-      const dt = ts - lastTsRef.current; lastTsRef.current = ts; accRef.current += dt;
-      while (accRef.current >= cadenceRef.current && runningRef.current) {
-        accRef.current -= cadenceRef.current;
-        runOneMatch();
-      }
-      rafIdRef.current = requestAnimationFrame(loop);
+    worker.onerror = (e) => {
+      worker.terminate();
+      batchWorkerRef.current = null;
+      setBatchProgress(null);
+      setBatchError(e.message || "The batch failed.");
     };
-    rafIdRef.current = requestAnimationFrame(loop);
+    worker.postMessage({ type: "batch", options: { runs: batchRuns, seed, ...config }, submissions });
+    batchWorkerRef.current = worker;
+    setBatchError(null);
+    setBatchProgress({ done: 0, runs: batchRuns });
+  };
+
+  const cancelBatch = () => {
+    batchWorkerRef.current?.terminate();
+    batchWorkerRef.current = null;
+    setBatchProgress(null);
+  };
+
+  useEffect(() => () => batchWorkerRef.current?.terminate(), []);
+
+  // Swap the editor strategies in the roster; the worker rebuilds the (idle) run around them
+  const changeSubmissions = (next) => {
+    setSubmissions(next);
+    runIdRef.current++;
+    workerRef.current.postMessage({ type: "submissions", runId: runIdRef.current, submissions: next });
+    setTick(0);
+    setLastInteraction(null);
+    setLastMatch(null);
+  };
+
+  const changeSpeed = (index) => {
+    setSpeedIndex(index);
+    cadenceRef.current = SPEED_STEPS[index];
+    workerRef.current?.postMessage({ type: "cadence", ms: SPEED_STEPS[index] });
   };
 
   const handleEnterAgent = (e, agent) => {
@@ -838,6 +1833,9 @@ export default function GameTheoryFishbowl() {
     }
   }, [stickyTooltip]);
 
+  // Tooltips follow the agent's latest snapshot, so live insights keep updating while open
+  const liveAgent = (content) => agents.find(a => a.id === content.id) || content;
+
   // Position agents in a circle
   const placed = agents.map((a, i) => {
     const angle = (i / agents.length) * 2 * Math.PI;
@@ -845,7 +1843,15 @@ export default function GameTheoryFishbowl() {
     const y = center.y + Math.sin(angle) * center.r;
     return { ...a, x, y, angle };
   });
-  const leaderboard = [...agents].sort((a, b) => b.score - a.score).slice(0, 6);
+  const runConfig = simRef.current?.config ?? DEFAULT_CONFIG;
+  const isRoundRobin = runConfig.mode === "roundRobin";
+  const isMoran = runConfig.mode === "moran";
+  const composition = isMoran ? populationComposition({ agents }) : [];
+  const leaderboard = getStandings({ agents, config: runConfig }).slice(0, 6);
+  // Game shown in the dashboard; a custom matrix is named after the registry game it matches
+  const activeGame = config.game === CUSTOM_GAME_ID ? classifyGame(config.payoffs) : GAMES[config.game];
+  const tftThreshold = titForTatThreshold(resolvePayoffs(config));
+  const gameNote = activeGame?.id === "prisonersDilemma" ? null : (activeGame ? `a ${activeGame.name}` : "a custom game");
 
   return (
     <div ref={containerRef} className="min-h-screen bg-gradient-to-br from-slate-900 via-indigo-900 to-rose-900 text-white safe-top safe-bottom">
@@ -874,30 +1880,283 @@ export default function GameTheoryFishbowl() {
                 </p>
               </div>
               <div className="flex-shrink-0 flex items-center gap-2">
+                <label className="flex items-center gap-1 text-xs text-white/70" title="Runs with the same seed and settings replay identically">
+                  Seed
+                  <input
+                    type="number"
+                    min={0}
+                    className="w-28 bg-black/40 border border-white/20 rounded-lg px-2 py-1 text-white font-mono text-xs disabled:opacity-60"
+                    value={seed}
+                    onChange={(e) => setSeed(normalizeSeed(e.target.value))}
+                    disabled={running}
+                  />
+                </label>
                 <button
-                  className={`w-full sm:w-auto px-3 md:px-4 py-2 font-semibold rounded-xl shadow-lg transition-all text-sm md:text-base touch-feedback no-tap-highlight ${running ? "bg-gray-500 text-gray-200" : "bg-emerald-400 text-black"}`}
-                  onClick={() => {
-                    if (!running) {
-                      startSimulation();
-                    }
-                  }}
+                  className="px-2 py-1 rounded-lg bg-white/10 hover:bg-white/20 text-sm touch-feedback no-tap-highlight disabled:opacity-60"
+                  onClick={() => setSeed(randomSeed())}
                   disabled={running}
-                  title="Start the autonomous fishbowl"
+                  title="Pick a new random seed"
                 >
-                  {running ? "Running..." : "Start Simulation"}
+                  🎲
                 </button>
+                <button
+                  className={`w-full sm:w-auto px-3 md:px-4 py-2 font-semibold rounded-xl shadow-lg transition-all text-sm md:text-base touch-feedback no-tap-highlight ${playing ? "bg-amber-400 text-black" : "bg-emerald-400 text-black"}`}
+                  onClick={togglePlay}
+                  title={playing ? "Pause the fishbowl" : running ? "Resume the run" : "Start the autonomous fishbowl"}
+                >
+                  {playing ? "⏸ Pause" : running ? "▶ Resume" : "▶ Start Simulation"}
+                </button>
+                <button
+                  className="px-2 py-1 rounded-lg bg-white/10 hover:bg-white/20 text-sm touch-feedback no-tap-highlight"
+                  onClick={() => stepOnce("match")}
+                  title="Pause and play exactly one match"
+                >
+                  ⏭ Match
+                </button>
+                <button
+                  className="px-2 py-1 rounded-lg bg-white/10 hover:bg-white/20 text-sm touch-feedback no-tap-highlight"
+                  onClick={() => stepOnce("round")}
+                  title="Pause and play a single round of the current match"
+                >
+                  ↪ Round
+                </button>
+                <button
+                  className="px-2 py-1 rounded-lg bg-white/10 hover:bg-white/20 text-sm touch-feedback no-tap-highlight"
+                  onClick={resetRun}
+                  title="Stop and clear the board; settings unlock again"
+                >
+                  ⏹ Reset
+                </button>
+                <label className="flex items-center gap-1 text-xs text-white/70" title="Delay between matches; Max runs matches back to back in the engine worker">
+                  Speed
+                  <input
+                    type="range"
+                    min={0}
+                    max={SPEED_STEPS.length - 1}
+                    value={speedIndex}
+                    onChange={(e) => changeSpeed(Number(e.target.value))}
+                  />
+                  <span className="w-16 font-mono">{SPEED_STEPS[speedIndex] === 0 ? "Max" : `${SPEED_STEPS[speedIndex]} ms`}</span>
+                </label>
               </div>
             </div>
 
+            {/* Run settings - applied when the simulation starts */}
+            <div className="flex flex-wrap items-center gap-2 md:gap-3 mb-3 text-xs text-white/70">
+              <label className="flex items-center gap-1" title="Random pairing picks two agents per tick; round-robin plays every pairing like Axelrod's tournaments">
+                Mode
+                <select
+                  className="bg-black/40 border border-white/20 rounded-lg px-2 py-1 text-white disabled:opacity-60"
+                  value={config.mode}
+                  onChange={(e) => setConfig(c => ({ ...c, mode: e.target.value }))}
+                  disabled={running}
+                >
+                  <option value="random">Random pairing</option>
+                  <option value="roundRobin">Round-robin tournament</option>
+                  <option value="moran">Moran evolution</option>
+                </select>
+              </label>
+              <label className="flex items-center gap-1" title="Which 2x2 game the agents play; edit the payoff matrix below for a custom game">
+                Game
+                <select
+                  className="bg-black/40 border border-white/20 rounded-lg px-2 py-1 text-white disabled:opacity-60"
+                  value={config.game}
+                  onChange={(e) => {
+                    const game = e.target.value;
+                    setConfig(c => ({ ...c, game, payoffs: GAMES[game]?.payoffs ?? c.payoffs }));
+                  }}
+                  disabled={running}
+                >
+                  {Object.values(GAMES).map(game => (
+                    <option key={game.id} value={game.id}>{game.name}</option>
+                  ))}
+                  <option value={CUSTOM_GAME_ID}>Custom</option>
+                </select>
+              </label>
+              {config.mode === "moran" && (
+                <>
+                  <label className="flex items-center gap-1" title="Number of strategy copies in the ring">
+                    Population
+                    <input
+                      type="number"
+                      min={2}
+                      max={30}
+                      className="w-14 bg-black/40 border border-white/20 rounded-lg px-2 py-1 text-white disabled:opacity-60"
+                      value={config.populationSize}
+                      onChange={(e) => setConfig(c => ({ ...c, populationSize: Math.max(2, Math.min(30, Math.floor(Number(e.target.value) || 2))) }))}
+                      disabled={running}
+                    />
+                  </label>
+                  <label className="flex items-center gap-1" title="Each generation is a full round-robin, then the lowest scorer is replaced">
+                    Generations
+                    <input
+                      type="number"
+                      min={1}
+                      max={500}
+                      className="w-16 bg-black/40 border border-white/20 rounded-lg px-2 py-1 text-white disabled:opacity-60"
+                      value={config.generations}
+                      onChange={(e) => setConfig(c => ({ ...c, generations: Math.max(1, Math.min(500, Math.floor(Number(e.target.value) || 1))) }))}
+                      disabled={running}
+                    />
+                  </label>
+                  <label className="flex items-center gap-1" title="Chance an offspring is a random strategy instead of a copy of its parent">
+                    Mutation
+                    <input
+                      type="number"
+                      min={0}
+                      max={1}
+                      step={0.01}
+                      className="w-16 bg-black/40 border border-white/20 rounded-lg px-2 py-1 text-white disabled:opacity-60"
+                      value={config.mutationRate}
+                      onChange={(e) => setConfig(c => ({ ...c, mutationRate: Math.max(0, Math.min(1, Number(e.target.value) || 0)) }))}
+                      disabled={running}
+                    />
+                  </label>
+                </>
+              )}
+              {config.mode === "random" && (
+                <label className="flex items-center gap-1" title="Stop after this many matches; 0 plays until paused">
+                  Tick limit
+                  <input
+                    type="number"
+                    min={0}
+                    max={100000}
+                    className="w-20 bg-black/40 border border-white/20 rounded-lg px-2 py-1 text-white disabled:opacity-60"
+                    value={config.tickLimit}
+                    onChange={(e) => setConfig(c => ({ ...c, tickLimit: Math.max(0, Math.min(100000, Math.floor(Number(e.target.value) || 0))) }))}
+                    disabled={running}
+                  />
+                </label>
+              )}
+              {config.mode === "roundRobin" && (
+                <>
+                  <label className="flex items-center gap-1" title="How many times each pairing is played">
+                    Repetitions
+                    <input
+                      type="number"
+                      min={1}
+                      max={50}
+                      className="w-14 bg-black/40 border border-white/20 rounded-lg px-2 py-1 text-white disabled:opacity-60"
+                      value={config.repetitions}
+                      onChange={(e) => setConfig(c => ({ ...c, repetitions: Math.max(1, Math.min(50, Math.floor(Number(e.target.value) || 1))) }))}
+                      disabled={running}
+                    />
+                  </label>
+                  <label className="flex items-center gap-1" title="Each agent also plays a copy of itself">
+                    <input
+                      type="checkbox"
+                      checked={config.includeSelf}
+                      onChange={(e) => setConfig(c => ({ ...c, includeSelf: e.target.checked }))}
+                      disabled={running}
+                    />
+                    Include self-play
+                  </label>
+                </>
+              )}
+              <label className="flex items-center gap-1" title="Fixed: every match lasts the same number of rounds. Probabilistic: after each round the match continues with probability w">
+                Match length
+                <select
+                  className="bg-black/40 border border-white/20 rounded-lg px-2 py-1 text-white disabled:opacity-60"
+                  value={config.matchLength}
+                  onChange={(e) => setConfig(c => ({ ...c, matchLength: e.target.value }))}
+                  disabled={running}
+                >
+                  <option value="fixed">Fixed</option>
+                  <option value="probabilistic">Probabilistic</option>
+                </select>
+              </label>
+              {config.matchLength === "fixed" ? (
+                <label className="flex items-center gap-1" title="Rounds per match">
+                  Rounds
+                  <input
+                    type="number"
+                    min={1}
+                    max={200}
+                    className="w-14 bg-black/40 border border-white/20 rounded-lg px-2 py-1 text-white disabled:opacity-60"
+                    value={config.rounds}
+                    onChange={(e) => setConfig(c => ({ ...c, rounds: Math.max(1, Math.min(200, Math.floor(Number(e.target.value) || 1))) }))}
+                    disabled={running}
+                  />
+                </label>
+              ) : (
+                <label className="flex items-center gap-1" title={`Chance of another round; expected match length ${(1 / (1 - config.continuationProbability)).toFixed(1)} rounds`}>
+                  w
+                  <input
+                    type="number"
+                    min={0}
+                    max={0.99}
+                    step={0.01}
+                    className="w-16 bg-black/40 border border-white/20 rounded-lg px-2 py-1 text-white disabled:opacity-60"
+                    value={config.continuationProbability}
+                    onChange={(e) => setConfig(c => ({ ...c, continuationProbability: Math.max(0, Math.min(0.99, Number(e.target.value) || 0)) }))}
+                    disabled={running}
+                  />
+                </label>
+              )}
+              <span className="flex items-center gap-2" title="Visibility rules: what the game context tells every strategy">
+                Reveal
+                {CONTEXT_RULES.map((rule) => (
+                  <label key={rule.flag} className="flex items-center gap-1" title={rule.description}>
+                    <input
+                      type="checkbox"
+                      checked={isRevealed(config, rule)}
+                      onChange={(e) => setConfig(c => ({ ...c, [rule.flag]: e.target.checked }))}
+                      disabled={running}
+                    />
+                    {rule.label}
+                  </label>
+                ))}
+              </span>
+              <label className="flex items-center gap-1" title="Whether adaptive agents start each run from scratch (reproducible with the same seed) or keep what they learned in earlier runs">
+                On restart
+                <select
+                  className="bg-black/40 border border-white/20 rounded-lg px-2 py-1 text-white disabled:opacity-60"
+                  value={config.keepLearning ? "keep" : "reset"}
+                  onChange={(e) => setConfig(c => ({ ...c, keepLearning: e.target.value === "keep" }))}
+                  disabled={running}
+                >
+                  <option value="reset">Reset learning</option>
+                  <option value="keep">Keep learned knowledge</option>
+                </select>
+              </label>
+              <label className="flex items-center gap-1" title="Trembling hand: chance an intended move is flipped before it is played">
+                Execution noise
+                <input
+                  type="number"
+                  min={0}
+                  max={0.5}
+                  step={0.01}
+                  className="w-16 bg-black/40 border border-white/20 rounded-lg px-2 py-1 text-white disabled:opacity-60"
+                  value={config.executionNoise}
+                  onChange={(e) => setConfig(c => ({ ...c, executionNoise: Math.max(0, Math.min(0.5, Number(e.target.value) || 0)) }))}
+                  disabled={running}
+                />
+              </label>
+              <label className="flex items-center gap-1" title="Misread signal: chance the opponent's move is recorded flipped in a player's history">
+                Perception noise
+                <input
+                  type="number"
+                  min={0}
+                  max={0.5}
+                  step={0.01}
+                  className="w-16 bg-black/40 border border-white/20 rounded-lg px-2 py-1 text-white disabled:opacity-60"
+                  value={config.perceptionNoise}
+                  onChange={(e) => setConfig(c => ({ ...c, perceptionNoise: Math.max(0, Math.min(0.5, Number(e.target.value) || 0)) }))}
+                  disabled={running}
+                />
+              </label>
+            </div>
+
             {/* Fishbowl Visualization - 3D characters */}
             <div className="relative min-h-[320px] h-[40vh] sm:h-[45vh] md:h-[50vh] lg:h-[540px] p-1 sm:p-2 overflow-hidden">
               <div className="absolute inset-0 rounded-xl overflow-hidden">
                 <ThreeFishbowl 
-                  ring={agentRingRef.current || agents.map(a => ({ name: a.name, isClassic: a.isClassic }))}
+                  ring={agentRingRef.current || agents.map(a => ({ id: a.id, name: a.name, isClassic: a.isClassic }))}
                   interaction={lastInteraction}
                   hideOverlays={showSplash}
-                  onAgentClick={(name)=>{
-                    const a = agents.find(x => x.name === name);
+                  onAgentClick={(key)=>{
+                    // The ring reports id when it has one: copies in a population share a name
+                    const a = agents.find(x => (x.id ?? x.name) === key);
                     if (a) { setStickyTooltip({x: window.innerWidth/2, y: 100, content: a}); }
                   }}
                 />
@@ -909,22 +2168,30 @@ export default function GameTheoryFishbowl() {
               <div className="md:col-span-2 xl:col-span-3 bg-black/30 p-2 sm:p-3 rounded-xl border border-white/10">
                 <h3 className="text-base md:text-lg font-bold mb-2 md:mb-3">🎓 Game Theory Educational Dashboard</h3>
                 <div className="text-xs sm:text-sm text-white/80 space-y-2 md:space-y-3 max-h-48 sm:max-h-56 md:max-h-64 overflow-auto mobile-scroll leading-4 sm:leading-5">
-                  <div className="bg-blue-900/20 p-2 md:p-3 rounded-lg border border-blue-500/30 hover:bg-blue-900/30 transition-colors cursor-pointer">
-                    <h4 className="font-semibold text-blue-300 mb-1 md:mb-2 text-xs sm:text-sm">📊 Prisoner's Dilemma Payoff Matrix</h4>
-                    <div className="grid grid-cols-3 gap-1 md:gap-2 text-xs font-mono">
-                      <div></div><div className="text-center text-green-300">Cooperate</div><div className="text-center text-red-300">Defect</div>
-                      <div className="text-green-300">Cooperate</div><div className="text-center bg-green-900/30 p-1 rounded text-[10px] sm:text-xs hover:bg-green-900/50 transition-colors">R=3,3</div><div className="text-center bg-red-900/30 p-1 rounded text-[10px] sm:text-xs hover:bg-red-900/50 transition-colors">S=0,T=5</div>
-                      <div className="text-red-300">Defect</div><div className="text-center bg-yellow-900/30 p-1 rounded text-[10px] sm:text-xs hover:bg-yellow-900/50 transition-colors">T=5,S=0</div><div className="text-center bg-gray-900/30 p-1 rounded text-[10px] sm:text-xs hover:bg-gray-900/50 transition-colors">P=1,1</div>
-                    </div>
-                    <p className="mt-1 md:mt-2 text-[10px] sm:text-xs text-white/70">
-                      <strong>Key insight:</strong> Mutual cooperation (R=3,3) beats mutual defection (P=1,1), but temptation to defect (T=5) while opponent cooperates (S=0).
-                    </p>
-                  </div>
-                  
+                  <PayoffMatrixCard
+                    gameId={config.game}
+                    payoffs={config.payoffs}
+                    onChange={(payoffs, game) => setConfig(c => ({ ...c, payoffs, game }))}
+                    disabled={running}
+                  />
+
                   <div className="bg-purple-900/20 p-2 md:p-3 rounded-lg border border-purple-500/30">
                     <h4 className="font-semibold text-purple-300 mb-1 md:mb-2 text-xs sm:text-sm">🔄 Why Iteration Matters</h4>
                     <p className="text-[10px] sm:text-xs text-white/70">
-                      In single-shot games, defection dominates. But with repeated interactions, strategies like <strong>Tit-for-Tat</strong> can enforce cooperation through reputation and retaliation.
+                      {(activeGame || GAMES.prisonersDilemma).iteration}
+                    </p>
+                    <p className="mt-1 text-[10px] sm:text-xs text-white/70">
+                      <strong>Shadow of the future:</strong> with a known, fixed last round, defecting in that round costs nothing, and backward induction unravels cooperation. With continuation probability <strong>w</strong> there is no known last round
+                      {tftThreshold !== null
+                        ? <>; with these payoffs Tit-for-Tat can sustain cooperation once w ≥ {tftThreshold.toFixed(2)}{config.matchLength === "probabilistic" ? ` (currently w = ${config.continuationProbability})` : ""}.</>
+                        : "."}
+                    </p>
+                  </div>
+
+                  <div className="bg-rose-900/20 p-2 md:p-3 rounded-lg border border-rose-500/30">
+                    <h4 className="font-semibold text-rose-300 mb-1 md:mb-2 text-xs sm:text-sm">🎲 Noise and Mistakes</h4>
+                    <p className="text-[10px] sm:text-xs text-white/70">
+                      Turn on <strong>execution noise</strong> (an intended move gets flipped) or <strong>perception noise</strong> (the opponent's move is misread). One slip sends two <strong>Tit-for-Tat</strong> players into an echo of alternating retaliation and <strong>Grim Trigger</strong> into permanent defection, while <strong>Generous Tit-for-Tat</strong> can forgive its way back. The Last Match panel marks every mistake.
                     </p>
                   </div>
 
@@ -938,6 +2205,13 @@ export default function GameTheoryFishbowl() {
                   </div>
                 </div>
               </div>
+
+              <StrategyEditorCard submissions={submissions} onChange={changeSubmissions} disabled={running} />
+              <FsmBuilderCard submissions={submissions} onChange={changeSubmissions} disabled={running} config={config} />
+              <MemoryOneCard submissions={submissions} onChange={changeSubmissions} disabled={running} config={config} />
+              <QLearningLabCard submissions={submissions} onChange={changeSubmissions} disabled={running} config={config} />
+              <BanditCard submissions={submissions} onChange={changeSubmissions} disabled={running} />
+              <EvolveCard submissions={submissions} onChange={changeSubmissions} disabled={running} config={config} />
             </div>
           </div>
 
@@ -948,7 +2222,7 @@ export default function GameTheoryFishbowl() {
               <h3 className="text-base md:text-lg font-bold">Leaderboard</h3>
               <ol className="mt-2 space-y-1 md:space-y-2">
                 {leaderboard.map((a, idx) => (
-                  <li key={a.name} className="flex items-center justify-between text-xs sm:text-sm">
+                  <li key={a.id} className="flex items-center justify-between text-xs sm:text-sm">
                     <div className="flex items-center gap-2 md:gap-3">
                       <div className="w-1.5 h-1.5 md:w-2 md:h-2 rounded-full" style={{ background: idx === 0 ? "#ffd700" : "#fff" }} />
                       <button 
@@ -964,17 +2238,53 @@ export default function GameTheoryFishbowl() {
                         onFocus={(e) => handleEnterAgent(e, a)} 
                         onBlur={handleLeaveAgent}
                       >
-                        {a.name}
+                        {a.submission?.disqualified && <span title="Disqualified">⛔ </span>}{a.name}
                       </button>
                     </div>
-                    <div className="text-xs text-white/80">{Math.round(a.score)}</div>
+                    <div className="text-xs text-white/80">
+                      {runConfig.mode !== "random" ? `${standingScore({ config: runConfig }, a).toFixed(1)}/match` : Math.round(a.score)}
+                    </div>
                   </li>
                 ))}
               </ol>
 
-              <div className="mt-2 md:mt-3 text-xs text-white/60">Ticks: {tick}</div>
+              <div className="mt-2 md:mt-3 text-xs text-white/60">
+                {isRoundRobin ? `Matches: ${tick} / ${simRef.current?.scheduleLength ?? 0}` : runConfig.tickLimit > 0 && !isMoran ? `Ticks: ${tick} / ${runConfig.tickLimit}` : `Ticks: ${tick}`}
+                {isMoran && ` • Generation ${generation} / ${runConfig.generations}`}
+              </div>
+              {isMoran && (
+                <div className="mt-2 md:mt-3">
+                  <h4 className="text-xs sm:text-sm font-semibold mb-1">Population</h4>
+                  <ul className="space-y-1">
+                    {composition.map(entry => (
+                      <li key={entry.strategyId} className="flex items-center gap-2 text-xs">
+                        <span className="truncate flex-1">{entry.isClassic ? "🏛️" : "🤖"} {entry.name}</span>
+                        <div className="w-20 h-1.5 bg-white/10 rounded-full overflow-hidden">
+                          <div className="h-full bg-emerald-400" style={{ width: `${(entry.count / agents.length) * 100}%` }} />
+                        </div>
+                        <span className="w-6 text-right text-white/80">{entry.count}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
             </div>
 
+            <BatchResultsCard
+              result={batchResult}
+              progress={batchProgress}
+              error={batchError}
+              mode={config.mode}
+              runs={batchRuns}
+              onRunsChange={setBatchRuns}
+              onRun={runBatch}
+              onCancel={cancelBatch}
+            />
+
+            {lastMatch && <MatchTimeline match={lastMatch} />}
+
+            <PolicyTrendCard agents={agents} />
+
             <div className="bg-black/30 p-2 sm:p-3 rounded-2xl border border-white/10 text-xs sm:text-sm leading-5 sm:leading-6">
               <h3 className="text-sm sm:text-base md:text-lg font-bold mb-2 md:mb-3">🔬 Strategic Analysis Deep Dive</h3>
               
@@ -1015,24 +2325,36 @@ export default function GameTheoryFishbowl() {
           Philosophy, strengths, weaknesses, real-world applications, and learning mechanisms explained
         </div>
 
-        {/* Mobile-only floating action button */}
+        {/* Mobile-only floating run controls: step and reset above the play/pause button */}
         {window.innerWidth < 768 && (
-          <div className="fixed bottom-6 right-6 z-50 sm:hidden">
+          <div className="fixed bottom-6 right-6 z-50 sm:hidden flex flex-col items-center gap-2">
+            {[
+              { label: "⏭", title: "Pause and play exactly one match", onClick: () => stepOnce("match") },
+              { label: "↪", title: "Pause and play a single round of the current match", onClick: () => stepOnce("round") },
+              { label: "⏹", title: "Stop and clear the board; settings unlock again", onClick: resetRun },
+            ].map(control => (
+              <button
+                key={control.title}
+                className="w-11 h-11 rounded-full shadow-xl bg-black/70 border border-white/20 text-white text-base touch-feedback no-tap-highlight active:scale-95"
+                onClick={control.onClick}
+                title={control.title}
+                aria-label={control.title}
+                style={{ touchAction: 'manipulation' }}
+              >
+                {control.label}
+              </button>
+            ))}
             <button
               className={`w-16 h-16 rounded-full shadow-2xl font-bold text-lg transition-all duration-300 transform touch-feedback no-tap-highlight ${
-                running 
-                  ? "bg-gray-600 text-gray-300 scale-95" 
+                playing
+                  ? "bg-amber-400 text-black scale-95"
                   : "bg-emerald-500 text-black scale-100 hover:scale-105 active:scale-95"
               }`}
-              onClick={() => {
-                if (!running) {
-                  startSimulation();
-                }
-              }}
-              disabled={running}
+              onClick={togglePlay}
+              aria-label={playing ? "Pause the fishbowl" : "Start or resume the run"}
               style={{ touchAction: 'manipulation' }}
             >
-              {running ? "⏸️" : "▶️"}
+              {playing ? "⏸️" : "▶️"}
             </button>
           </div>
         )}
@@ -1043,9 +2365,10 @@ export default function GameTheoryFishbowl() {
         <Tooltip 
           x={hovered.x} 
           y={hovered.y} 
-          content={hovered.content} 
+          content={liveAgent(hovered.content)} 
           visible={true}
           isSticky={false}
+          gameNote={gameNote}
         />
       )}
 
@@ -1053,9 +2376,10 @@ export default function GameTheoryFishbowl() {
         <Tooltip 
           x={stickyTooltip.x} 
           y={stickyTooltip.y} 
-          content={stickyTooltip.content} 
+          content={liveAgent(stickyTooltip.content)} 
           visible={true}
           isSticky={true}
+          gameNote={gameNote}
           ref={stickyRef}
         />
       )}
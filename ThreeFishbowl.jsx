@@ -831,7 +831,7 @@ function FocusNameplate({ position = [0,0,0], height = 1.6, label = '' }) {
   );
 }
 
-function Agent({ name, position, isClassic, isInteracting, isLeader = false, onClick, onBoundsComputed, index, lookAtTarget, action, interactionKey, hitRadius = 0.4, hitHeight = 1.6 }) {
+function Agent({ name, model = null, position, isClassic, isInteracting, isLeader = false, onClick, onBoundsComputed, index, lookAtTarget, action, interactionKey, hitRadius = 0.4, hitHeight = 1.6 }) {
   const groupRef = useRef();
   const mixerRef = useRef();
   const [fbxModel, setFbxModel] = useState(null);
@@ -849,7 +849,7 @@ function Agent({ name, position, isClassic, isInteracting, isLeader = false, onC
       try {
         let modelPath = '';
         
-        // Map agent names to model files
+        // Map agent names to model files; registered plugin strategies bring their own
         switch (name) {
           case 'Always Defect':
             modelPath = '/AiGameTheoryFishbowl-PrisonersDilemma/character_3dmodels/alwaysDefect/Uppercut Jab.fbx';
@@ -881,7 +881,54 @@ function Agent({ name, position, isClassic, isInteracting, isLeader = false, onC
           case 'Meta-Strategist':
             modelPath = '/AiGameTheoryFishbowl-PrisonersDilemma/character_3dmodels/metaStrategist/Low Crawl.fbx';
             break;
+          case 'Bayesian Modeller': // shares the Frequency Analyzer's character until it gets its own model
+            modelPath = '/AiGameTheoryFishbowl-PrisonersDilemma/character_3dmodels/frequencyAnalyzer/Walking While Texting.fbx';
+            break;
+          case 'Neural Policy Agent': // shares the Q-Learning Agent's character until it gets its own model
+            modelPath = '/AiGameTheoryFishbowl-PrisonersDilemma/character_3dmodels/qLearningAgent/Standing Using Touchscreen Tablet.fbx';
+            break;
+          // Expanded classic catalogue: these share an existing character until they get their own models
+          case 'Pavlov':
+            modelPath = '/AiGameTheoryFishbowl-PrisonersDilemma/character_3dmodels/titForTat/Fight Idle.fbx';
+            break;
+          case 'Tit-for-Two-Tats':
+            modelPath = '/AiGameTheoryFishbowl-PrisonersDilemma/character_3dmodels/generousTitForTat/Happy Idle.fbx';
+            break;
+          case 'Suspicious Tit-for-Tat':
+            modelPath = '/AiGameTheoryFishbowl-PrisonersDilemma/character_3dmodels/grimTrigger/Angry.fbx';
+            break;
+          case 'Prober':
+            modelPath = '/AiGameTheoryFishbowl-PrisonersDilemma/character_3dmodels/patternDetective/Look Around.fbx';
+            break;
+          case 'Gradual':
+            modelPath = '/AiGameTheoryFishbowl-PrisonersDilemma/character_3dmodels/titForTat/Fight Idle.fbx';
+            break;
+          case 'Joss':
+            modelPath = '/AiGameTheoryFishbowl-PrisonersDilemma/character_3dmodels/alwaysDefect/Uppercut Jab.fbx';
+            break;
+          case 'Tester':
+            modelPath = '/AiGameTheoryFishbowl-PrisonersDilemma/character_3dmodels/patternDetective/Look Around.fbx';
+            break;
+          case 'Alternator':
+            modelPath = '/AiGameTheoryFishbowl-PrisonersDilemma/character_3dmodels/random/Swing Dancing.fbx';
+            break;
+          case 'Hard Majority':
+            modelPath = '/AiGameTheoryFishbowl-PrisonersDilemma/character_3dmodels/grimTrigger/Angry.fbx';
+            break;
+          case 'Soft Majority':
+            modelPath = '/AiGameTheoryFishbowl-PrisonersDilemma/character_3dmodels/alwaysCooperate/Injured Idle.fbx';
+            break;
+          case 'Handshake':
+            modelPath = '/AiGameTheoryFishbowl-PrisonersDilemma/character_3dmodels/frequencyAnalyzer/Walking While Texting.fbx';
+            break;
+          case 'Downing':
+            modelPath = '/AiGameTheoryFishbowl-PrisonersDilemma/character_3dmodels/qLearningAgent/Standing Using Touchscreen Tablet.fbx';
+            break;
           default:
+            if (model) {
+              modelPath = model;
+              break;
+            }
             // Fallback to a placeholder or return early
             console.log(`No 3D model configured for character: ${name}`);
             return;
@@ -985,7 +1032,7 @@ function Agent({ name, position, isClassic, isInteracting, isLeader = false, onC
         mixerRef.current = null;
       }
     };
-  }, [name]);
+  }, [name, model]);
   
   // Smooth animation loop - separated from simulation updates
   useFrame((state, delta) => {
@@ -1986,8 +2033,12 @@ export default function ThreeFishbowl({ ring = [], interaction = null, onAgentCl
           {/* Agents - memoized to prevent unnecessary re-renders */}
   {ring.map((agent, index) => {
     const position = simPositions[index] || agentPositions[index] || [0, GROUND_Y, 0];
+            // Population copies share a name, so match on id when the ring and interaction carry one
+            const ringKey = agent.id ?? agent.name;
+            const keyA = interaction ? (interaction.aId ?? interaction.A) : undefined;
+            const keyB = interaction ? (interaction.bId ?? interaction.B) : undefined;
             const isInteracting = interaction && 
-              (interaction.A === agent.name || interaction.B === agent.name);
+              (keyA === ringKey || keyB === ringKey);
             
             // Determine if this agent is the current leader
             const isLeader = leaderIndex === index;
@@ -1995,8 +2046,8 @@ export default function ThreeFishbowl({ ring = [], interaction = null, onAgentCl
             // Compute opponent position if this agent is currently interacting
             let lookAtTarget = undefined;
             if (isInteracting && interaction) {
-              const opponentName = interaction.A === agent.name ? interaction.B : interaction.A;
-              const opponentIndex = ring.findIndex(a => a.name === opponentName);
+              const opponentKey = keyA === ringKey ? keyB : keyA;
+              const opponentIndex = ring.findIndex(a => (a.id ?? a.name) === opponentKey);
               if (opponentIndex !== -1) {
                 lookAtTarget = agentPositions[opponentIndex];
               }
@@ -2005,8 +2056,8 @@ export default function ThreeFishbowl({ ring = [], interaction = null, onAgentCl
             let action = undefined;
             let interactionKey = undefined;
             if (isInteracting && interaction) {
-              action = interaction.A === agent.name ? interaction.aMove : interaction.bMove;
-              interactionKey = `${interaction.A}|${interaction.B}|${interaction.aMove}|${interaction.bMove}|${interaction.pA}|${interaction.pB}`;
+              action = keyA === ringKey ? interaction.aMove : interaction.bMove;
+              interactionKey = `${keyA}|${keyB}|${interaction.aMove}|${interaction.bMove}|${interaction.pA}|${interaction.pB}`;
             }
             
             return (
@@ -2016,13 +2067,14 @@ export default function ThreeFishbowl({ ring = [], interaction = null, onAgentCl
                 userData={{ agentIndex: index }}
               >
         <Agent
-                  key={`${agent.name}-${agent.isClassic}`} // Stable key
+                  key={ringKey} // Stable key, unique even among population copies
                   name={agent.name}
+                  model={agent.model}
                   position={position}
                   isClassic={agent.isClassic}
                   isInteracting={isInteracting}
           isLeader={isLeader}
-          onClick={onAgentClick}
+          onClick={() => onAgentClick(ringKey)}
           index={index}
           onBoundsComputed={handleBoundsComputed}
           lookAtTarget={lookAtTarget}
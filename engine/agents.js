@@ -0,0 +1,41 @@
+// Agent instances: one record per participant in the ring, built from the strategy registry.
+// Adaptive agents own a private brain created by their strategy's reset() (see registry.js).
+import { ClassicStrategies, AdaptiveAgents } from "./strategies.js";
+import "./plugins.js";
+import { listStrategies } from "./registry.js";
+
+export const AGENT_COUNT = ClassicStrategies.length + AdaptiveAgents.length; // size of the built-in roster
+
+// Give an agent a brand-new brain from its strategy, discarding what it had learned, and bind
+// its decide/learn/inspect hooks to that brain. Stateless strategies get no brain. The
+// per-opponent memories (opponent id -> plain object) are learned knowledge too, so they start
+// empty again.
+export function attachFreshBrain(agent) {
+  const { decide, reset, learn, inspect } = agent.definition;
+  const brain = reset ? reset() : null;
+  agent.agent = brain; // Store reference for updates
+  agent.strategy = brain ? decide.bind(brain) : decide; // Bind the context
+  agent.learn = learn ? learn.bind(brain) : null;
+  agent.inspect = inspect ? inspect.bind(brain) : null;
+  agent.memories = new Map();
+  return agent;
+}
+
+// Build one agent per registered strategy (built-ins first, then plugins), trimmed to agentCount
+// when given
+export function createPopulation({ agentCount = Infinity } = {}) {
+  const agents = listStrategies().map((definition) => attachFreshBrain({
+    ...definition.metadata,
+    id: `${definition.metadata.isClassic ? "classic" : "adaptive"}_${definition.id}`,
+    name: definition.name,
+    definition,
+    score: 0,
+    history: [],
+    myHistory: [],
+  }));
+
+  if (agents.length > agentCount) {
+    agents.splice(agentCount);
+  }
+  return agents;
+}
@@ -0,0 +1,196 @@
+// Multi-armed bandits over a portfolio of simple sub-strategies, used by the Meta-Strategist.
+// Every `epoch` rounds the agent pulls an arm (picks a sub-strategy) and plays its moves until the
+// next pull. Rewards are payoffs scaled to [0, 1] by the payoff matrix: the one the run reveals in
+// the game context, otherwise the one read off the agent's own rounds.
+// A config is { policy, scope, counterfactual, epoch }:
+//   policy: "ucb1" (optimism under uncertainty), "thompson" (sample each arm's posterior, with a
+//     Gaussian approximation to the Beta) or "exp3" (exponential weights, safe against
+//     adversarial opponents)
+//   scope: "global" pools statistics over every opponent; "perOpponent" keeps a separate set for
+//     each opponent in that opponent's memory, carried from one meeting to the next
+//   counterfactual: also score every arm that was not played, with the payoff its move would
+//     have earned against the opponent's move that round, so unused arms keep being evaluated.
+//     The opponent's move is held fixed, which ignores how a reciprocator would have answered a
+//     different move.
+import { observedPayoffs, payoffsFor } from "./payoffs.js";
+
+export const BANDIT_POLICIES = {
+  ucb1: "UCB1",
+  thompson: "Thompson sampling",
+  exp3: "Exp3",
+};
+export const BANDIT_SCOPES = {
+  global: "Global",
+  perOpponent: "Per opponent",
+};
+export const DEFAULT_BANDIT_CONFIG = { policy: "ucb1", scope: "global", counterfactual: true, epoch: 5 };
+const EXP3_GAMMA = 0.1; // share of Exp3's probability spread uniformly for exploration
+
+const lastOpponent = (history) => history[history.length - 1].opponent;
+
+export const BANDIT_ARMS = [
+  { id: "ALLC", name: "Always Cooperate", move: () => "C" },
+  { id: "ALLD", name: "Always Defect", move: () => "D" },
+  { id: "TFT", name: "Tit-for-Tat", move: (history) => (history.length === 0 ? "C" : lastOpponent(history)) },
+  {
+    id: "WSLS",
+    name: "Win-Stay Lose-Shift",
+    move: (history) => {
+      if (history.length === 0) { return "C"; }
+      const last = history[history.length - 1];
+      return last.self === last.opponent ? "C" : "D";
+    },
+  },
+  { id: "GRIM", name: "Grim Trigger", move: (history) => (history.some((h) => h.opponent === "D") ? "D" : "C") },
+  {
+    id: "FREQ",
+    name: "Frequency",
+    move: (history) => {
+      if (history.length < 5) { return "C"; }
+      const cooperationRate = history.filter((h) => h.opponent === "C").length / history.length;
+      return cooperationRate > 0.6 ? "C" : "D";
+    },
+  },
+];
+
+const freshStats = () => ({
+  samples: BANDIT_ARMS.map(() => 0),
+  rewards: BANDIT_ARMS.map(() => 0),
+  chosen: BANDIT_ARMS.map(() => 0),
+  logWeights: BANDIT_ARMS.map(() => 0),
+});
+
+// Standard normal draw from two uniforms (Box-Muller)
+function gaussian(rng) {
+  const u = Math.max(rng(), 1e-12);
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+}
+
+function exp3Probabilities(stats) {
+  const top = Math.max(...stats.logWeights);
+  const weights = stats.logWeights.map((w) => Math.exp(w - top));
+  const total = weights.reduce((a, b) => a + b, 0);
+  return weights.map((w) => (1 - EXP3_GAMMA) * (w / total) + EXP3_GAMMA / BANDIT_ARMS.length);
+}
+
+function pickArm(config, stats, rng) {
+  if (config.policy === "exp3") {
+    const probabilities = exp3Probabilities(stats);
+    let r = rng();
+    for (let i = 0; i < probabilities.length; i++) {
+      r -= probabilities[i];
+      if (r < 0) {
+        return i;
+      }
+    }
+    return probabilities.length - 1;
+  }
+  const untried = stats.samples.findIndex((n) => n === 0);
+  if (untried >= 0) {
+    return untried;
+  }
+  const total = stats.samples.reduce((a, b) => a + b, 0);
+  const scores = stats.samples.map((n, i) => {
+    if (config.policy === "thompson") {
+      const a = 1 + stats.rewards[i];
+      const b = 1 + n - stats.rewards[i];
+      const sd = Math.sqrt((a * b) / ((a + b) ** 2 * (a + b + 1)));
+      return a / (a + b) + sd * gaussian(rng);
+    }
+    return stats.rewards[i] / n + Math.sqrt((2 * Math.log(total)) / n);
+  });
+  return scores.indexOf(Math.max(...scores));
+}
+
+export function createBanditBrain(config = DEFAULT_BANDIT_CONFIG) {
+  return {
+    config,
+    stats: freshStats(),
+    arm: 2, // Tit-for-Tat until the first pull
+    sincePull: 0,
+    probabilities: null, // Exp3's selection probabilities at the last pull
+    pending: null, // every arm's move for the round being played
+    payoffs: null, // the matrix as last read off the agent's rounds
+  };
+}
+
+export function banditDecide(history, myHistory, rng, context = {}) {
+  const { opponent, payoffs } = context;
+  if (history.length === 0 && this.config.scope === "perOpponent") {
+    // Without the opponent's identity, per-opponent statistics can only last one match
+    if (opponent) {
+      opponent.memory.banditStats = opponent.memory.banditStats || freshStats();
+      this.stats = opponent.memory.banditStats;
+    } else {
+      this.stats = freshStats();
+    }
+  }
+  if (history.length === 0 || this.sincePull >= this.config.epoch) {
+    this.probabilities = this.config.policy === "exp3" ? exp3Probabilities(this.stats) : null;
+    this.arm = pickArm(this.config, this.stats, rng);
+    this.stats.chosen[this.arm]++;
+    this.sincePull = 0;
+  }
+  this.sincePull++;
+  this.payoffs = payoffs || observedPayoffs(myHistory);
+  this.pending = BANDIT_ARMS.map((arm) => arm.move(history));
+  return this.pending[this.arm];
+}
+
+export function banditLearn(round) {
+  const { payoffs, stats, config, pending } = this;
+  const low = Math.min(payoffs.R, payoffs.T, payoffs.P, payoffs.S);
+  const span = Math.max(payoffs.R, payoffs.T, payoffs.P, payoffs.S) - low || 1;
+  const scored = BANDIT_ARMS.map((arm, i) => i).filter((i) => i === this.arm || config.counterfactual);
+  scored.forEach((i) => {
+    const payoff = i === this.arm ? round.payoff : payoffsFor(pending[i], round.opponent, payoffs)[0];
+    const reward = (payoff - low) / span;
+    stats.samples[i]++;
+    stats.rewards[i] += reward;
+    if (config.policy === "exp3") {
+      // The played arm's reward is divided by the chance it had of being picked, which keeps
+      // Exp3's estimate unbiased; counterfactual rewards were observed whatever was picked
+      const chance = i === this.arm && this.probabilities ? this.probabilities[i] : 1;
+      stats.logWeights[i] += (EXP3_GAMMA * reward / chance) / BANDIT_ARMS.length;
+    }
+  });
+}
+
+// Portfolio weights: Exp3's selection probabilities, otherwise each arm's share of the pulls
+export function banditInspect() {
+  const { config, stats } = this;
+  const pulls = stats.chosen.reduce((a, b) => a + b, 0);
+  const weights = config.policy === "exp3"
+    ? exp3Probabilities(stats)
+    : stats.chosen.map((n) => (pulls > 0 ? n / pulls : 1 / BANDIT_ARMS.length));
+  return {
+    title: `Portfolio weights (${BANDIT_POLICIES[config.policy]}, ${BANDIT_SCOPES[config.scope].toLowerCase()})`,
+    bars: BANDIT_ARMS.map((arm, i) => ({ label: i === this.arm ? `▶ ${arm.name}` : arm.name, value: weights[i] })),
+  };
+}
+
+export function describeBanditConfig(config) {
+  return `${BANDIT_POLICIES[config.policy]}, ${BANDIT_SCOPES[config.scope].toLowerCase()} statistics, ${config.counterfactual ? "counterfactual scoring" : "played arm only"}, re-pulls every ${config.epoch} rounds`;
+}
+
+// Registry definition for a Meta-Strategist variant configured in the UI
+export function banditDefinition(config, id, name) {
+  return {
+    id,
+    name,
+    decide: banditDecide,
+    reset: () => createBanditBrain(config),
+    learn: banditLearn,
+    inspect: banditInspect,
+    metadata: {
+      desc: "A Meta-Strategist variant: a bandit algorithm choosing among six simple sub-strategies.",
+      reasoning: `Portfolio learning with ${describeBanditConfig(config)}.`,
+      strengths: ["Settles on whichever sub-strategy suits the opponent", "Bandit policies keep testing arms that look worse"],
+      weaknesses: ["Can only be as good as its best sub-strategy", "Switching arms mid-match can confuse reciprocators"],
+      realWorld: "A portfolio manager rebalancing toward the funds that have been paying off.",
+      performance: "Compare policies side by side in the leaderboard or with the Monte Carlo runner.",
+      isClassic: false,
+      bandit: config,
+    },
+  };
+}
@@ -0,0 +1,90 @@
+// Monte Carlo batches: the same config replayed over many seeds, summarised per strategy.
+// One run says little when pairings, noise and mixed strategies are random; the spread across
+// seeds shows whether a winner is robust or lucky.
+import { DEFAULT_CONFIG, createSimulation, stepSimulation } from "./simulation.js";
+import { normalizeSeed } from "./random.js";
+
+// Average payoff per round played, comparable across match lengths and pairing modes
+export function normalizedScore(agent) {
+  return agent.rounds > 0 ? agent.score / agent.rounds : 0;
+}
+
+// Play one tournament to the end and return every agent's normalized score and rank
+// (1 = best, ties share the better rank). Moran runs clear scores every generation, so a batch
+// scores the same roster as a round-robin instead; open-ended random runs use the default tick limit.
+export function runTournament(options = {}) {
+  const sim = createSimulation({
+    ...options,
+    mode: options.mode === "moran" ? "roundRobin" : options.mode,
+    tickLimit: options.tickLimit || DEFAULT_CONFIG.tickLimit,
+  });
+  while (stepSimulation(sim)) {
+    // play until the schedule or tick limit is exhausted
+  }
+  const scored = sim.agents.map((agent) => ({
+    id: agent.id,
+    name: agent.name,
+    isClassic: agent.isClassic,
+    score: normalizedScore(agent),
+  }));
+  return scored.map((entry) => ({
+    ...entry,
+    rank: 1 + scored.filter((other) => other.score > entry.score).length,
+  }));
+}
+
+// Linear-interpolated quantile of an ascending array
+export function quantile(sorted, q) {
+  if (sorted.length === 0) {
+    return 0;
+  }
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// Mean, median and the central 95% interval of a sample
+export function summarize(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = values.reduce((a, b) => a + b, 0) / (values.length || 1);
+  return {
+    mean,
+    median: quantile(sorted, 0.5),
+    low: quantile(sorted, 0.025),
+    high: quantile(sorted, 0.975),
+  };
+}
+
+// Equal-width bins over [min, max]; values on the upper edge land in the last bin
+export function histogram(values, { bins = 12, min = Math.min(...values), max = Math.max(...values) } = {}) {
+  const width = (max - min) / bins || 1;
+  const counts = new Array(bins).fill(0);
+  values.forEach((v) => {
+    counts[Math.min(bins - 1, Math.max(0, Math.floor((v - min) / width)))]++;
+  });
+  return counts.map((count, i) => ({ from: min + i * width, to: min + (i + 1) * width, count }));
+}
+
+// Run `runs` tournaments with seeds seed, seed + 1, ... and collect per-strategy samples.
+// onProgress(done, runs) is called after every tournament.
+export function runBatch({ runs = 100, seed = 0, ...config } = {}, onProgress = null) {
+  const byStrategy = new Map();
+  for (let i = 0; i < runs; i++) {
+    runTournament({ ...config, seed: normalizeSeed(seed + i) }).forEach(({ id, name, isClassic, score, rank }) => {
+      const entry = byStrategy.get(id) || { id, name, isClassic, scores: [], ranks: [] };
+      entry.scores.push(score);
+      entry.ranks.push(rank);
+      byStrategy.set(id, entry);
+    });
+    if (onProgress) {
+      onProgress(i + 1, runs);
+    }
+  }
+  const strategies = [...byStrategy.values()].map((entry) => ({
+    ...entry,
+    score: summarize(entry.scores),
+    rank: summarize(entry.ranks),
+  }));
+  return { runs, seed, strategies };
+}
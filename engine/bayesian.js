@@ -0,0 +1,112 @@
+// Bayesian opponent modelling: a posterior over which known strategy the current opponent is.
+// Every model predicts the chance the opponent cooperates next from a compact view of the match
+// so far. After each round the posterior is multiplied by how likely each model made the move
+// just seen (with a small tremble, so noise or an unknown strategy never rules a model out), then
+// renormalised. The agent picks its move by planning a few rounds ahead as if each model were
+// true and weighing those plans by belief, under the payoff matrix the game context reveals or,
+// failing that, the one read off its own rounds.
+import { observedPayoffs } from "./payoffs.js";
+
+// Chance that a deterministic model's prediction is contradicted anyway
+export const BAYES_TREMBLE = 0.05;
+// Smallest posterior a model can fall to, so one that fell far behind can recover if the
+// opponent changes
+const BELIEF_FLOOR = 1e-9;
+// Rounds looked ahead when choosing a move; a revealed horizon shortens it near the end
+export const BAYES_PLAN_DEPTH = 4;
+
+// A view holds what the models look at: rounds played, the last two rounds, and whether we have
+// ever defected. Models read it from the opponent's side: `self` is our move, `opponent` theirs.
+const EMPTY_VIEW = { rounds: 0, last: null, prev: null, weDefected: false };
+
+function extendView(view, self, opponent) {
+  return {
+    rounds: view.rounds + 1,
+    last: { self, opponent },
+    prev: view.last,
+    weDefected: view.weDefected || self === "D",
+  };
+}
+
+function viewOf(history) {
+  return history.reduce((view, round) => extendView(view, round.self, round.opponent), EMPTY_VIEW);
+}
+
+const copyLast = (v) => (v.last.self === "C" ? 1 : 0);
+
+export const OPPONENT_MODELS = [
+  { id: "C_ALWAYS", name: "Always Cooperate", predict: () => 1 },
+  { id: "D_ALWAYS", name: "Always Defect", predict: () => 0 },
+  { id: "TIT_FOR_TAT", name: "Tit-for-Tat", predict: (v) => (v.rounds === 0 ? 1 : copyLast(v)) },
+  { id: "SUSPICIOUS_TFT", name: "Suspicious Tit-for-Tat", predict: (v) => (v.rounds === 0 ? 0 : copyLast(v)) },
+  { id: "GRIM", name: "Grim Trigger", predict: (v) => (v.weDefected ? 0 : 1) },
+  { id: "PAVLOV", name: "Pavlov", predict: (v) => (v.rounds === 0 || v.last.self === v.last.opponent ? 1 : 0) },
+  { id: "TIT_FOR_TWO_TATS", name: "Tit-for-Two-Tats", predict: (v) => (v.prev && v.prev.self === "D" && v.last.self === "D" ? 0 : 1) },
+  { id: "ALTERNATOR", name: "Alternator", predict: (v) => (v.rounds % 2 === 0 ? 1 : 0) },
+  { id: "RANDOM", name: "Random", predict: () => 0.5 },
+];
+
+const uniformPrior = () => Object.fromEntries(OPPONENT_MODELS.map((m) => [m.id, 1 / OPPONENT_MODELS.length]));
+
+// Chance of cooperating under a model, softened by the tremble
+const cooperationChance = (model, view) => BAYES_TREMBLE + (1 - 2 * BAYES_TREMBLE) * model.predict(view);
+
+// Best total payoff over the next `depth` rounds if the opponent really is this model
+function planValue(model, view, depth, payoffs) {
+  if (depth === 0) {
+    return 0;
+  }
+  return Math.max(moveValue(model, view, "C", depth, payoffs), moveValue(model, view, "D", depth, payoffs));
+}
+
+function moveValue(model, view, move, depth, payoffs) {
+  const p = model.predict(view);
+  const expected = move === "C" ? p * payoffs.R + (1 - p) * payoffs.S : p * payoffs.T + (1 - p) * payoffs.P;
+  return expected + planValue(model, extendView(view, move, p >= 0.5 ? "C" : "D"), depth - 1, payoffs);
+}
+
+export function createBayesBrain() {
+  return { beliefs: uniformPrior(), view: EMPTY_VIEW };
+}
+
+export function bayesDecide(history, myHistory, rng, context = {}) {
+  const { horizon, payoffs: revealed } = context;
+  if (history.length === 0) {
+    // New match, new opponent: back to the prior
+    this.beliefs = uniformPrior();
+    this.view = EMPTY_VIEW;
+  } else if (this.view.rounds !== history.length) {
+    this.view = viewOf(history);
+  }
+  const payoffs = revealed || observedPayoffs(myHistory);
+  const depth = horizon && horizon.roundsRemaining ? Math.min(BAYES_PLAN_DEPTH, horizon.roundsRemaining) : BAYES_PLAN_DEPTH;
+  const value = (move) => OPPONENT_MODELS.reduce(
+    (sum, model) => sum + this.beliefs[model.id] * moveValue(model, this.view, move, depth, payoffs), 0);
+  return value("C") >= value("D") ? "C" : "D";
+}
+
+export function bayesLearn(round, history) {
+  if (this.view.rounds !== history.length - 1) {
+    this.view = viewOf(history.slice(0, -1));
+  }
+  let total = 0;
+  OPPONENT_MODELS.forEach((model) => {
+    const p = cooperationChance(model, this.view);
+    this.beliefs[model.id] = Math.max(BELIEF_FLOOR, this.beliefs[model.id] * (round.opponent === "C" ? p : 1 - p));
+    total += this.beliefs[model.id];
+  });
+  OPPONENT_MODELS.forEach((model) => {
+    this.beliefs[model.id] /= total;
+  });
+  this.view = extendView(this.view, round.self, round.opponent);
+}
+
+// Belief distribution, most likely type first
+export function bayesInspect() {
+  return {
+    title: "Belief about the current opponent",
+    bars: OPPONENT_MODELS
+      .map((model) => ({ label: model.name, value: this.beliefs[model.id] }))
+      .sort((a, b) => b.value - a.value),
+  };
+}
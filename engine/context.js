@@ -0,0 +1,36 @@
+// The game context: what a strategy is told about the game it is playing, passed to decide as its
+// fourth argument and to learn as its third. `round` (the 0-based index of the round being
+// played) is always there; every other field is governed by a visibility rule below and is null
+// when the run does not reveal it, so experiments can compare strategies that know the horizon or
+// the payoffs against ones that must work them out from their own rounds.
+//
+// Visibility rules, each switched by a boolean in the run config:
+//   opponent    revealOpponent (on by default): { id, memory }, the opponent's agent id and the
+//               plain object this agent keeps for that opponent across matches
+//   horizon     revealHorizon: { matchLength: "fixed", rounds, roundsRemaining } or
+//               { matchLength: "probabilistic", continuationProbability }
+//   payoffs     revealPayoffs: { R, S, T, P } of the game being played
+//   population  revealPopulation: the number of agents in the ring; null outside a simulation
+//               (previews, vetting, fitness runs) even when revealed
+
+export const CONTEXT_RULES = [
+  { field: "opponent", flag: "revealOpponent", revealed: true, label: "Opponent", description: "Let strategies see who they are playing and keep a memory of each opponent across matches" },
+  { field: "horizon", flag: "revealHorizon", revealed: false, label: "Horizon", description: "Let strategies see how many rounds remain (fixed) or the continuation probability (probabilistic)" },
+  { field: "payoffs", flag: "revealPayoffs", revealed: false, label: "Payoffs", description: "Let strategies see the payoff matrix instead of working it out from their own rounds" },
+  { field: "population", flag: "revealPopulation", revealed: false, label: "Population", description: "Let strategies see how many agents are in the ring" },
+];
+
+// Whether a run config grants a rule, falling back to the rule's default
+export function isRevealed(config, rule) {
+  return config[rule.flag] ?? rule.revealed;
+}
+
+// Context for one player: facts holds the true value of every field, and the rules decide which
+// of them the strategy gets to see
+export function gameContext(round, facts, config) {
+  const context = { round };
+  CONTEXT_RULES.forEach((rule) => {
+    context[rule.field] = isRevealed(config, rule) ? facts[rule.field] ?? null : null;
+  });
+  return Object.freeze(context);
+}
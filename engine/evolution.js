@@ -0,0 +1,91 @@
+// Moran-process population dynamics.
+// The population holds copies of roster strategies; after each generation the lowest scorer
+// is replaced by the offspring of a fitness-proportionally chosen parent, with optional mutation.
+import { randomInt } from "./random.js";
+import { attachFreshBrain } from "./agents.js";
+
+// Copy a roster agent into a fresh population member with its own id, empty record and,
+// for adaptive strategies, its own newborn brain
+export function spawnCopy(template, serial) {
+  return attachFreshBrain({
+    ...template,
+    id: `${template.id}#${serial}`,
+    strategyId: template.id,
+    score: 0,
+    matches: 0,
+    history: [],
+    myHistory: [],
+    twin: null,
+  });
+}
+
+// Spread size copies across the roster as evenly as possible, in roster order
+export function seedMoranPopulation(roster, size) {
+  const population = [];
+  for (let i = 0; i < size; i++) {
+    population.push(spawnCopy(roster[i % roster.length], i));
+  }
+  return population;
+}
+
+// Average payoff per match played this generation
+export function fitnessOf(agent) {
+  return agent.matches > 0 ? agent.score / agent.matches : 0;
+}
+
+function pickProportional(rng, weights) {
+  const total = weights.reduce((a, b) => a + b, 0);
+  if (total <= 0) {
+    return randomInt(rng, weights.length);
+  }
+  let r = rng() * total;
+  for (let i = 0; i < weights.length; i++) {
+    r -= weights[i];
+    if (r < 0) {
+      return i;
+    }
+  }
+  return weights.length - 1;
+}
+
+// One birth-death update on sim.agents. Returns what changed so the UI can narrate it.
+export function moranStep(sim) {
+  const { agents, roster, rng } = sim;
+  const fitness = agents.map(fitnessOf);
+
+  const parentIdx = pickProportional(rng, fitness);
+  const lowest = Math.min(...fitness);
+  const candidates = fitness.map((f, i) => (f === lowest ? i : -1)).filter((i) => i >= 0);
+  const victimIdx = candidates[randomInt(rng, candidates.length)];
+
+  const parent = agents[parentIdx];
+  const victim = agents[victimIdx];
+  const mutated = rng() < (sim.config.mutationRate || 0);
+  const template = mutated
+    ? roster[randomInt(rng, roster.length)]
+    : roster.find((r) => r.id === parent.strategyId);
+  const offspring = spawnCopy(template, sim.nextSerial++);
+  agents[victimIdx] = offspring;
+
+  return { parent, victim, offspring, mutated };
+}
+
+// True once one strategy has taken over and mutation cannot reintroduce others
+export function isFixated(sim) {
+  if (sim.config.mutationRate > 0) {
+    return false;
+  }
+  return sim.agents.every((a) => a.strategyId === sim.agents[0].strategyId);
+}
+
+// Strategy counts in the current population, most common first
+export function populationComposition(sim) {
+  const byStrategy = new Map();
+  sim.agents.forEach((agent) => {
+    const key = agent.strategyId ?? agent.id;
+    const entry = byStrategy.get(key) || { strategyId: key, name: agent.name, isClassic: agent.isClassic, count: 0 };
+    entry.count++;
+    byStrategy.set(key, entry);
+  });
+  return [...byStrategy.values()].sort((a, b) => b.count - a.count);
+}
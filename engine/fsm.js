@@ -0,0 +1,134 @@
+// Finite-state-machine strategies built in the visual editor.
+// An FSM is plain JSON: { name, start, states: [{ id, label, move, onC, onD }] }. Each state plays
+// its move ("C" or "D"); after the round the machine follows onC or onD depending on what the
+// opponent played (as this player perceived it). Every match starts again from `start`.
+
+export const FSM_PRESETS = {
+  grimTrigger: {
+    name: "Grim Trigger",
+    start: "trust",
+    states: [
+      { id: "trust", label: "Trust", move: "C", onC: "trust", onD: "grudge" },
+      { id: "grudge", label: "Grudge", move: "D", onC: "grudge", onD: "grudge" },
+    ],
+  },
+  titForTat: {
+    name: "Tit-for-Tat",
+    start: "nice",
+    states: [
+      { id: "nice", label: "Nice", move: "C", onC: "nice", onD: "punish" },
+      { id: "punish", label: "Punish", move: "D", onC: "nice", onD: "punish" },
+    ],
+  },
+  winStayLoseShift: {
+    name: "Win-Stay Lose-Shift",
+    start: "cooperate",
+    states: [
+      { id: "cooperate", label: "Cooperate", move: "C", onC: "cooperate", onD: "defect" },
+      { id: "defect", label: "Defect", move: "D", onC: "defect", onD: "cooperate" },
+    ],
+  },
+  titForTwoTats: {
+    name: "Tit-for-Two-Tats",
+    start: "calm",
+    states: [
+      { id: "calm", label: "Calm", move: "C", onC: "calm", onD: "wary" },
+      { id: "wary", label: "Wary", move: "C", onC: "calm", onD: "punish" },
+      { id: "punish", label: "Punish", move: "D", onC: "calm", onD: "punish" },
+    ],
+  },
+};
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+const stateName = (state) => (typeof state.label === "string" && state.label) || state.id;
+
+// Everything wrong with an FSM, as readable sentences; empty when it can run
+export function validateFsm(fsm) {
+  const issues = [];
+  if (!isObject(fsm) || !Array.isArray(fsm.states) || fsm.states.length === 0) {
+    return ["The machine needs at least one state."];
+  }
+  if (fsm.name !== undefined && typeof fsm.name !== "string") {
+    issues.push("The machine's name must be text.");
+  }
+  const ids = new Set();
+  fsm.states.forEach((state, i) => {
+    if (!isObject(state)) {
+      issues.push(`State ${i + 1} must be an object { id, label, move, onC, onD }.`);
+      return;
+    }
+    if (typeof state.id !== "string" || state.id === "") {
+      issues.push(`State ${i + 1} has no id.`);
+    } else if (ids.has(state.id)) {
+      issues.push(`State id "${state.id}" is used twice.`);
+    }
+    ids.add(state.id);
+    if (state.label !== undefined && typeof state.label !== "string") {
+      issues.push(`State ${i + 1} must have a text label.`);
+    }
+    if (state.move !== "C" && state.move !== "D") {
+      issues.push(`State "${stateName(state)}" must play C or D.`);
+    }
+  });
+  fsm.states.filter(isObject).forEach((state) => {
+    ["onC", "onD"].forEach((edge) => {
+      if (!ids.has(state[edge])) {
+        issues.push(`State "${stateName(state)}" has no valid transition ${edge === "onC" ? "after C" : "after D"}.`);
+      }
+    });
+  });
+  if (!ids.has(fsm.start)) {
+    issues.push("Pick a start state.");
+  }
+  return issues;
+}
+
+// Parse exported JSON back into an FSM. Returns { fsm, issues }; fsm keeps only the fields the
+// editor knows, with every state labelled, and is null unless the machine is valid.
+export function parseFsm(text) {
+  let fsm;
+  try {
+    fsm = JSON.parse(text);
+  } catch (err) {
+    return { fsm: null, issues: [`Not valid JSON: ${err.message}`] };
+  }
+  const issues = validateFsm(fsm);
+  if (issues.length > 0) {
+    return { fsm: null, issues };
+  }
+  return {
+    fsm: {
+      ...(fsm.name !== undefined && { name: fsm.name }),
+      start: fsm.start,
+      states: fsm.states.map(({ id, label, move, onC, onD }) => ({ id, label: label ?? id, move, onC, onD })),
+    },
+    issues,
+  };
+}
+
+// Registry definition for an FSM. The current state is recomputed from the match history, so
+// the strategy needs no brain and restarts cleanly with every match.
+export function fsmDefinition(fsm, id) {
+  const byId = new Map(fsm.states.map((state) => [state.id, state]));
+  return {
+    id,
+    name: fsm.name,
+    decide: (history) => {
+      let state = byId.get(fsm.start);
+      history.forEach((round) => {
+        state = byId.get(round.opponent === "C" ? state.onC : state.onD);
+      });
+      return state.move;
+    },
+    metadata: {
+      desc: `A ${fsm.states.length}-state machine built in the visual FSM editor.`,
+      reasoning: `States: ${fsm.states.map((s) => `${s.label || s.id} plays ${s.move}`).join("; ")}. It starts in ${byId.get(fsm.start)?.label || fsm.start}.`,
+      strengths: ["Fully transparent: every move follows a drawn transition"],
+      weaknesses: ["Reacts only to the opponent's last move"],
+      realWorld: "A written playbook: in this situation, do this; if they respond like that, move to the next page.",
+      performance: "Depends entirely on the machine you drew.",
+      isClassic: true,
+      fsm,
+    },
+  };
+}
@@ -0,0 +1,65 @@
+// Registry of symmetric 2x2 games the same agents can play.
+// Every game uses the PD's R/T/P/S naming (R: both C, T: D against C, P: both D, S: C against D);
+// what changes between games is how those four payoffs are ordered.
+import { PD } from "./payoffs.js";
+
+export const CUSTOM_GAME_ID = "custom";
+
+export const GAMES = {
+  prisonersDilemma: {
+    id: "prisonersDilemma",
+    name: "Prisoner's Dilemma",
+    ordering: "T > R > P > S",
+    payoffs: PD,
+    summary: "Defection dominates, yet mutual defection (P) leaves both players worse off than mutual cooperation (R).",
+    iteration: "In single-shot games, defection dominates. But with repeated interactions, strategies like Tit-for-Tat can enforce cooperation through reputation and retaliation.",
+    matches: ({ R, T, P, S }) => T > R && R > P && P > S,
+  },
+  stagHunt: {
+    id: "stagHunt",
+    name: "Stag Hunt",
+    ordering: "R > T > P > S",
+    payoffs: { R: 4, T: 3, P: 2, S: 0 },
+    summary: "A coordination game: hunting the stag together (R) beats everything, but cooperating alone (S) is the worst outcome, so playing safe (D) is tempting.",
+    iteration: "There is no temptation to betray a cooperator, so the problem is trust rather than greed. Once both players expect cooperation it enforces itself; repetition builds that confidence.",
+    matches: ({ R, T, P, S }) => R > T && T >= P && P > S,
+  },
+  chicken: {
+    id: "chicken",
+    name: "Chicken (Hawk-Dove)",
+    ordering: "T > R > S > P",
+    payoffs: { R: 3, T: 4, P: 0, S: 1 },
+    summary: "An anti-coordination game: the best reply to a cooperator is to defect, but the best reply to a defector is to back down (S > P). Mutual defection is a crash.",
+    iteration: "Repetition lets players take turns or build a reputation for toughness. Retaliation is the costliest outcome here, so Grim Trigger and Tit-for-Tat can lock themselves into crashes.",
+    matches: ({ R, T, P, S }) => T > R && R > S && S > P,
+  },
+  harmony: {
+    id: "harmony",
+    name: "Harmony",
+    ordering: "R > T > S > P",
+    payoffs: { R: 4, T: 3, P: 1, S: 2 },
+    summary: "No dilemma at all: cooperating is the better move whatever the opponent does (R > T and S > P).",
+    iteration: "Iteration changes little because cooperation already pays in every single round. Only habitual defectors lose, which makes this a useful control game.",
+    matches: ({ R, T, P, S }) => R > T && S > P,
+  },
+  deadlock: {
+    id: "deadlock",
+    name: "Deadlock",
+    ordering: "T > P > R > S",
+    payoffs: { R: 1, T: 3, P: 2, S: 0 },
+    summary: "Defection dominates and both players actually prefer mutual defection to mutual cooperation (P > R).",
+    iteration: "Repetition cannot rescue cooperation because nobody wants it. Defectors win, and cooperative strategies simply donate points.",
+    matches: ({ R, T, P, S }) => T > P && P > R && R > S,
+  },
+};
+
+// Payoffs used for play: the registry entry for a named game, config.payoffs for a custom one
+export function resolvePayoffs(config) {
+  const game = GAMES[config.game];
+  return game ? game.payoffs : config.payoffs || PD;
+}
+
+// Registry entry whose payoff ordering this matrix satisfies, or null for anything else
+export function classifyGame(payoffs) {
+  return Object.values(GAMES).find((game) => game.matches(payoffs)) || null;
+}
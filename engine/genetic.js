@@ -0,0 +1,100 @@
+// Genetic algorithm over lookup-table genomes (see lookup.js), after Axelrod (1987).
+// Fitness is the average payoff per round a genome earns in one match against every strategy in
+// the roster, adaptive agents starting from fresh brains each time. Each generation keeps the
+// best genomes unchanged and breeds the rest by tournament selection, one-point crossover and
+// per-gene mutation.
+import { DEFAULT_CONFIG, playGame } from "./simulation.js";
+import { attachFreshBrain, createPopulation } from "./agents.js";
+import { createRng, normalizeSeed, randomInt } from "./random.js";
+import { LOOKUP_GENES, lookupDefinition } from "./lookup.js";
+
+export const DEFAULT_EVOLVE_OPTIONS = {
+  populationSize: 24,
+  generations: 40,
+  mutationRate: 0.01,
+  elite: 2,
+  seed: 1,
+};
+const TOURNAMENT_SIZE = 3;
+
+const flip = (move) => (move === "C" ? "D" : "C");
+
+export function randomGenome(rng) {
+  let genome = "";
+  for (let i = 0; i < LOOKUP_GENES; i++) {
+    genome += rng() < 0.5 ? "C" : "D";
+  }
+  return genome;
+}
+
+function crossover(a, b, rng) {
+  const cut = 1 + randomInt(rng, LOOKUP_GENES - 1);
+  return a.slice(0, cut) + b.slice(cut);
+}
+
+function mutate(genome, rate, rng) {
+  return genome.split("").map((move) => (rng() < rate ? flip(move) : move)).join("");
+}
+
+// Average payoff per round against one fresh copy of each roster strategy
+export function genomeFitness(genome, rng, config = DEFAULT_CONFIG) {
+  const definition = lookupDefinition(genome, "EVOLVING", "Evolving genome");
+  let score = 0;
+  let rounds = 0;
+  createPopulation().forEach((opponent) => {
+    const candidate = attachFreshBrain({ id: "evolving", name: definition.name, definition, myHistory: [] });
+    const { scoreA, historyA } = playGame(candidate, opponent, rng, config);
+    score += scoreA;
+    rounds += historyA.length;
+  });
+  return rounds > 0 ? score / rounds : 0;
+}
+
+function tournamentPick(scored, rng) {
+  let best = scored[randomInt(rng, scored.length)];
+  for (let i = 1; i < TOURNAMENT_SIZE; i++) {
+    const rival = scored[randomInt(rng, scored.length)];
+    if (rival.fitness > best.fitness) {
+      best = rival;
+    }
+  }
+  return best.genome;
+}
+
+// Whole number of at least 1: there is always one generation of one genome to name a champion
+const atLeastOne = (n) => Math.max(1, Math.round(n) || 1);
+
+// Run the GA. onGeneration({ generation, best, mean, genome }) reports every generation.
+// Returns { genome, fitness, generations, history: [{ generation, best, mean }] }; populationSize
+// and generations below 1 count as 1.
+export function evolveLookup(options = {}, onGeneration = () => {}) {
+  const { mutationRate, elite, seed, config = DEFAULT_CONFIG, ...sizes } = { ...DEFAULT_EVOLVE_OPTIONS, ...options };
+  const populationSize = atLeastOne(sizes.populationSize);
+  const generations = atLeastOne(sizes.generations);
+  const rng = createRng(normalizeSeed(seed));
+  let population = Array.from({ length: populationSize }, () => randomGenome(rng));
+  const history = [];
+  let champion = null;
+  for (let generation = 1; generation <= generations; generation++) {
+    const scored = population
+      .map((genome) => ({ genome, fitness: genomeFitness(genome, rng, config) }))
+      .sort((a, b) => b.fitness - a.fitness);
+    if (!champion || scored[0].fitness >= champion.fitness) {
+      champion = scored[0];
+    }
+    const entry = {
+      generation,
+      best: scored[0].fitness,
+      mean: scored.reduce((sum, s) => sum + s.fitness, 0) / scored.length,
+    };
+    history.push(entry);
+    onGeneration({ ...entry, genome: scored[0].genome });
+
+    const next = scored.slice(0, elite).map((s) => s.genome);
+    while (next.length < populationSize) {
+      next.push(mutate(crossover(tournamentPick(scored, rng), tournamentPick(scored, rng), rng), mutationRate, rng));
+    }
+    population = next;
+  }
+  return { genome: champion.genome, fitness: champion.fitness, generations, history };
+}
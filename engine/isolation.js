@@ -0,0 +1,55 @@
+// Pieces shared by the host and the sandbox workers (moveSandboxWorker.js, sandboxWorker.js):
+// compiling and judging submitted code, freezing its inputs, locking down the worker it runs in,
+// and the layout of the buffer a move sandbox answers through. Nothing here starts a worker, so
+// the sandbox workers can import it.
+
+// Values of the state word at the start of a move sandbox's buffer
+export const IDLE = 0;
+export const REQUEST = 1;
+export const REPLY = 2;
+export const HEADER_BYTES = 8; // Int32 state word, Int32 byte length of the message
+
+// Worker globals a submission has no business touching, removed before it is compiled
+const LOCKED_GLOBALS = [
+  "postMessage", "close", "importScripts", "fetch", "XMLHttpRequest", "WebSocket", "EventSource",
+  "BroadcastChannel", "indexedDB", "caches", "Worker", "SharedWorker",
+];
+
+// Turn source into a function, or throw an Error describing why it cannot be used
+export function compileStrategy(source) {
+  const fn = new Function(`"use strict";\nreturn (${source}\n);`)();
+  if (typeof fn !== "function") {
+    throw new Error("The code must evaluate to a function (history, myHistory, rng, context) => \"C\" | \"D\".");
+  }
+  return fn;
+}
+
+// Outcome of one move: { move } when it is "C" or "D", else { reason } to disqualify with
+export function judgeMove(move) {
+  return move === "C" || move === "D" ? { move } : { reason: `Returned ${JSON.stringify(move) ?? String(move)} instead of "C" or "D"` };
+}
+
+export const thrownReason = (err) => `Threw ${err?.name || "an error"}: ${err?.message ?? err}`;
+
+// Freeze value and everything reachable from it, except the object `spare`
+export function deepFreeze(value, spare = null) {
+  if (value && typeof value === "object" && value !== spare && !Object.isFrozen(value)) {
+    Object.freeze(value);
+    Object.values(value).forEach((child) => deepFreeze(child, spare));
+  }
+  return value;
+}
+
+// Strip the network, storage and messaging globals from a sandbox worker. Returns the worker's
+// postMessage, bound, for the sandbox's own use; call after installing onmessage.
+export function lockDownWorker() {
+  const post = self.postMessage.bind(self);
+  for (let scope = self; scope && scope !== Object.prototype; scope = Object.getPrototypeOf(scope)) {
+    LOCKED_GLOBALS.forEach((name) => {
+      if (Object.getOwnPropertyDescriptor(scope, name)?.configurable) {
+        delete scope[name];
+      }
+    });
+  }
+  return post;
+}
@@ -0,0 +1,110 @@
+// Lookup-table strategies over the last three rounds, as in Axelrod's 1987 genetic-algorithm
+// experiment. A genome is a string of LOOKUP_GENES moves ("C"/"D"):
+//   genes 0-63: the move for each combination of the last three outcomes, read as a base-4
+//     number with the oldest round as the most significant digit (CC = 0, CD = 1, DC = 2,
+//     DD = 3; own move first)
+//   genes 64-69: a premise, the three imaginary rounds (own move, opponent move) that stand in
+//     for the history before round one, so the opening moves are evolved too
+
+export const LOOKUP_MEMORY = 3;
+export const LOOKUP_TABLE = 64;
+export const LOOKUP_GENES = LOOKUP_TABLE + 2 * LOOKUP_MEMORY;
+
+const OUTCOME_INDEX = { CC: 0, CD: 1, DC: 2, DD: 3 };
+
+// The last three rounds as outcome strings, premise rounds filling in before round one
+function recentOutcomes(genome, history) {
+  const premise = [];
+  for (let i = 0; i < LOOKUP_MEMORY; i++) {
+    premise.push(genome[LOOKUP_TABLE + 2 * i] + genome[LOOKUP_TABLE + 2 * i + 1]);
+  }
+  const played = history.slice(-LOOKUP_MEMORY).map((h) => h.self + h.opponent);
+  return [...premise, ...played].slice(-LOOKUP_MEMORY);
+}
+
+export function lookupDecide(genome) {
+  return (history) => genome[recentOutcomes(genome, history).reduce((index, outcome) => index * 4 + OUTCOME_INDEX[outcome], 0)];
+}
+
+export function isGenome(genome) {
+  return typeof genome === "string" && genome.length === LOOKUP_GENES && /^[CD]+$/.test(genome);
+}
+
+// Plain-language profile of a genome for its tooltip
+export function describeLookup(genome) {
+  const table = genome.slice(0, LOOKUP_TABLE);
+  let afterC = 0;
+  let afterD = 0;
+  let copiesLast = 0;
+  for (let index = 0; index < LOOKUP_TABLE; index++) {
+    const lastOpponent = index % 2 === 0 ? "C" : "D"; // last outcome is CC/DC (even) or CD/DD (odd)
+    if (table[index] === "C") {
+      if (lastOpponent === "C") { afterC++; } else { afterD++; }
+    }
+    if (table[index] === lastOpponent) {
+      copiesLast++;
+    }
+  }
+  const decide = lookupDecide(genome);
+  const opening = [];
+  const selfPlay = [];
+  for (let i = 0; i < LOOKUP_MEMORY; i++) {
+    const move = decide(selfPlay);
+    opening.push(move);
+    selfPlay.push({ self: move, opponent: move });
+  }
+  return {
+    opening: opening.join(""),
+    cooperation: table.split("").filter((m) => m === "C").length / LOOKUP_TABLE,
+    afterC: afterC / (LOOKUP_TABLE / 2),
+    afterD: afterD / (LOOKUP_TABLE / 2),
+    titForTat: copiesLast / LOOKUP_TABLE,
+  };
+}
+
+const percent = (q) => `${Math.round(q * 100)}%`;
+
+// Registry definition for a promoted genome; origin is { generations, fitness } from the run
+export function lookupDefinition(genome, id, name, origin = {}) {
+  const profile = describeLookup(genome);
+  const strengths = [];
+  const weaknesses = ["Evolved against one roster; new opponents may find its blind spots"];
+  if (profile.afterC >= 0.7) {
+    strengths.push("Reciprocates cooperation");
+  } else if (profile.afterC < 0.5) {
+    weaknesses.push("Often defects on cooperative opponents, which provokes retaliators");
+  }
+  if (profile.afterD <= 0.3) {
+    strengths.push("Retaliates against defection");
+  } else if (profile.afterD > 0.5) {
+    weaknesses.push("Often lets defections go unpunished, so it can be exploited");
+  }
+  if (profile.opening[0] === "C") {
+    strengths.push("Opens nicely, so cooperation can start at once");
+  } else {
+    weaknesses.push("Opens with a defection, which starts feuds with retaliators");
+  }
+  if (profile.titForTat >= 0.75) {
+    strengths.push("Close to Tit-for-Tat, a robust all-rounder");
+  }
+  if (strengths.length === 0) {
+    strengths.push("Whatever the roster it evolved against rewarded");
+  }
+  return {
+    id,
+    name,
+    decide: lookupDecide(genome),
+    metadata: {
+      desc: `Evolved by a genetic algorithm${origin.generations ? ` over ${origin.generations} generations` : ""}: a lookup table over the last three rounds.`,
+      reasoning: `Opens ${profile.opening.split("").join(", ")} against a copy of itself. After an opponent's cooperation it cooperates in ${percent(profile.afterC)} of situations, after a defection in ${percent(profile.afterD)}. It agrees with Tit-for-Tat in ${percent(profile.titForTat)} of its 64 entries.`,
+      strengths,
+      weaknesses,
+      realWorld: "A habit shaped by selection rather than design - whatever survived against this crowd.",
+      performance: origin.fitness !== undefined
+        ? `Scored ${origin.fitness.toFixed(2)} per round against the roster it evolved against; it may be overfitted to that field.`
+        : "Tuned to the roster it evolved against; it may be overfitted to that field.",
+      isClassic: false,
+      lookup: { genome, ...profile },
+    },
+  };
+}
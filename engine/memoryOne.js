@@ -0,0 +1,93 @@
+// Memory-one strategies: the next move depends only on the previous round.
+// A strategy is { p: { CC, CD, DC, DD }, opening }, where p.XY is the probability of cooperating
+// after a round in which this player played X and the opponent played Y, and opening is the
+// first move. Tit-for-Tat is { CC: 1, CD: 0, DC: 1, DD: 0 }.
+// Zero-determinant strategies (Press & Dyson, 2012) are memory-one strategies that force a linear
+// relation between the two players' long-run payoffs. Extortioners enforce
+// (myScore - P) = chi * (theirScore - P): whatever the opponent does, every point it gains above
+// mutual defection earns the extortioner chi points.
+// strategies.js builds Generous Tit-for-Tat from memoryOneDecide, so importing the registry here
+// would be circular.
+
+export const OUTCOMES = ["CC", "CD", "DC", "DD"];
+
+// Decision function for a memory-one strategy. Certain moves (p of 0 or 1) draw no random
+// number, so deterministic settings replay exactly like a hand-written rule.
+export function memoryOneDecide({ p, opening = "C" }) {
+  return (history, myHistory, rng) => {
+    if (history.length === 0) {
+      return opening;
+    }
+    const last = history[history.length - 1];
+    const q = p[last.self + last.opponent];
+    if (q >= 1) {
+      return "C";
+    }
+    if (q <= 0) {
+      return "D";
+    }
+    return rng() < q ? "C" : "D";
+  };
+}
+
+// Press-Dyson extortionate ZD strategy for a Prisoner's Dilemma matrix with extortion factor
+// chi >= 1. phiFraction in (0, 1] scales phi within its feasible range: smaller values respond
+// more sluggishly. Returns null when the matrix is not a PD (T > R > P > S).
+export function extortionateZD({ R, T, P, S }, chi, phiFraction = 0.5) {
+  if (!(T > R && R > P && P > S) || chi < 1) {
+    return null;
+  }
+  const phiMax = Math.min(
+    1 / ((P - S) + chi * (T - P)),
+    1 / ((T - P) + chi * (P - S)),
+    chi > 1 ? 1 / ((chi - 1) * (R - P)) : Infinity
+  );
+  const phi = phiMax * phiFraction;
+  return {
+    p: {
+      CC: 1 - phi * (chi - 1) * (R - P),
+      CD: 1 - phi * ((P - S) + chi * (T - P)),
+      DC: phi * ((T - P) + chi * (P - S)),
+      DD: 0,
+    },
+    opening: "C",
+  };
+}
+
+// Named presets for the slider panel; the extortioners are computed for the given payoffs and
+// left out when the matrix is not a PD
+export function memoryOnePresets(payoffs) {
+  const presets = [
+    { id: "wsls", name: "Win-Stay Lose-Shift", p: { CC: 1, CD: 0, DC: 0, DD: 1 }, opening: "C" },
+    { id: "gtft", name: "Generous Tit-for-Tat", p: { CC: 1, CD: 0.1, DC: 1, DD: 0.1 }, opening: "C" },
+    { id: "tft", name: "Tit-for-Tat", p: { CC: 1, CD: 0, DC: 1, DD: 0 }, opening: "C" },
+  ];
+  [2, 3].forEach((chi) => {
+    const zd = extortionateZD(payoffs, chi);
+    if (zd) {
+      presets.push({ id: `extort${chi}`, name: `Extort-${chi}`, chi, ...zd });
+    }
+  });
+  return presets;
+}
+
+const percent = (q) => `${Math.round(q * 100)}%`;
+
+// Registry definition for a memory-one strategy built with the sliders
+export function memoryOneDefinition({ p, opening }, id, name) {
+  return {
+    id,
+    name,
+    decide: memoryOneDecide({ p, opening }),
+    metadata: {
+      desc: "A memory-one strategy: its next move depends only on the last round.",
+      reasoning: `Opens with ${opening}. Cooperation chance after CC ${percent(p.CC)}, after CD ${percent(p.CD)}, after DC ${percent(p.DC)}, after DD ${percent(p.DD)} (own move first).`,
+      strengths: ["Compact: four numbers describe the whole strategy", "Covers Tit-for-Tat, Win-Stay Lose-Shift, generous and extortionate play"],
+      weaknesses: ["Cannot remember anything older than the last round"],
+      realWorld: "A reflex: react to how the last exchange went, and nothing else.",
+      performance: "Depends on the probabilities; extortioners beat every opponent head-to-head but score poorly against each other.",
+      isClassic: true,
+      memoryOne: { p, opening },
+    },
+  };
+}
@@ -0,0 +1,133 @@
+// Host side of the move sandbox: a dedicated worker per editor submission that plays its moves,
+// so that the worker running the simulation can stop code that never returns. The simulation is
+// synchronous, so a move is a blocking call: the host writes the request into a SharedArrayBuffer,
+// wakes the sandbox and waits on the buffer with Atomics.wait for at most MOVE_TIMEOUT_MS, then
+// terminates the sandbox if no answer came. That needs cross-origin isolation (see
+// coi-serviceworker.js); without it canIsolateMoves() is false and code submissions are refused.
+//
+// Requests and replies travel as JSON. The sandbox mirrors the history arrays it has seen, one
+// channel per agent, so each move only ships the rounds played since that agent's last move.
+// The sandbox deep-freezes what it hands to the submission; only the opponent memory stays
+// writable, and the host copies it back after every move.
+import { HEADER_BYTES, IDLE, REQUEST } from "./isolation.js";
+
+export const MOVE_TIMEOUT_MS = 1000; // a move that takes longer disqualifies the submission
+export const SANDBOX_START_TIMEOUT_MS = 5000;
+const BUFFER_BYTES = 1 << 20; // largest request or reply, in UTF-8 bytes
+const CHANNELS = 32; // agents whose rounds a sandbox mirrors at once
+
+export function canIsolateMoves() {
+  return typeof Worker !== "undefined"
+    && typeof SharedArrayBuffer !== "undefined"
+    && typeof Atomics !== "undefined"
+    && globalThis.crossOriginIsolated === true;
+}
+
+// Rounds the sandbox has not seen yet: it keeps the last `keep` rounds of its mirror and appends
+// `rounds`. sent remembers which array and round were shipped last.
+function roundsDelta(sent, rounds) {
+  const keep = sent.rounds === rounds && sent.last ? rounds.lastIndexOf(sent.last) + 1 : 0;
+  sent.rounds = rounds;
+  sent.last = rounds.length > 0 ? rounds[rounds.length - 1] : null;
+  return { keep, rounds: rounds.slice(keep) };
+}
+
+// Start a sandbox for source. Resolves to { play, stop } once the code has compiled there, or
+// rejects with an Error describing why it could not.
+export function startMoveSandbox(source) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL("./moveSandboxWorker.js", import.meta.url), { type: "module" });
+    const buffer = new SharedArrayBuffer(HEADER_BYTES + BUFFER_BYTES);
+    const fail = (message) => {
+      clearTimeout(timer);
+      worker.terminate();
+      reject(new Error(message));
+    };
+    const timer = setTimeout(() => fail(`The sandbox did not start within ${SANDBOX_START_TIMEOUT_MS / 1000} s.`), SANDBOX_START_TIMEOUT_MS);
+    worker.onmessage = ({ data }) => {
+      if (data.error) {
+        fail(data.error);
+        return;
+      }
+      clearTimeout(timer);
+      worker.onmessage = null;
+      resolve(moveSandbox(worker, buffer));
+    };
+    worker.onerror = (e) => fail(e.message || "The sandbox crashed.");
+    worker.postMessage({ source, buffer });
+  });
+}
+
+function moveSandbox(worker, buffer) {
+  const state = new Int32Array(buffer, 0, 2);
+  const bytes = new Uint8Array(buffer, HEADER_BYTES);
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder();
+  const channels = new WeakMap(); // an agent's myHistory array -> its channel
+  const owners = [];
+  let opened = 0;
+  let stopped = false;
+
+  const stop = () => {
+    stopped = true;
+    worker.terminate();
+  };
+
+  const channelFor = (myHistory) => {
+    let channel = channels.get(myHistory);
+    if (!channel) {
+      const id = opened++ % CHANNELS;
+      if (owners[id]) {
+        channels.delete(owners[id]);
+      }
+      owners[id] = myHistory;
+      channel = { id, history: { rounds: null, last: null }, myHistory: { rounds: null, last: null } };
+      channels.set(myHistory, channel);
+    }
+    return channel;
+  };
+
+  // One move: { move } with a valid move, or { reason } to disqualify with. The opponent memory
+  // in context is updated in place.
+  const play = (history, myHistory, seed, context) => {
+    if (stopped) {
+      return { reason: "The sandbox was stopped" };
+    }
+    const channel = channelFor(myHistory);
+    const request = JSON.stringify({
+      seed,
+      channel: channel.id,
+      history: roundsDelta(channel.history, history),
+      myHistory: roundsDelta(channel.myHistory, myHistory),
+      context,
+    });
+    const { read, written } = encoder.encodeInto(request, bytes);
+    if (read < request.length) {
+      channel.history.rounds = null; // resend everything next time
+      channel.myHistory.rounds = null;
+      return { reason: `Inputs exceed the sandbox's ${BUFFER_BYTES >> 20} MB (is the opponent memory growing without bound?)` };
+    }
+    state[1] = written;
+    Atomics.store(state, 0, REQUEST);
+    Atomics.notify(state, 0);
+    const deadline = performance.now() + MOVE_TIMEOUT_MS;
+    while (Atomics.load(state, 0) === REQUEST) {
+      const left = deadline - performance.now();
+      if (left <= 0) {
+        stop();
+        return { reason: `No move within ${MOVE_TIMEOUT_MS / 1000} s. Is there an infinite loop?` };
+      }
+      Atomics.wait(state, 0, REQUEST, left);
+    }
+    const reply = JSON.parse(decoder.decode(bytes.slice(0, state[1])));
+    Atomics.store(state, 0, IDLE);
+    if (context.opponent && reply.memory) {
+      const { memory } = context.opponent;
+      Object.keys(memory).forEach((key) => delete memory[key]);
+      Object.assign(memory, reply.memory);
+    }
+    return reply;
+  };
+
+  return { play, stop };
+}
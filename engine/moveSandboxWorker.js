@@ -0,0 +1,66 @@
+// Sandbox worker for one editor submission: { source, buffer } in, then { ok: true } or
+// { error } once the code has compiled. From then on it only talks through the shared buffer
+// (see moveSandbox.js), blocking between moves, until the host terminates it.
+import { createRng } from "./random.js";
+import { HEADER_BYTES, REPLY, REQUEST, compileStrategy, deepFreeze, judgeMove, lockDownWorker, thrownReason } from "./isolation.js";
+
+self.onmessage = ({ data }) => {
+  let fn;
+  try {
+    fn = compileStrategy(data.source);
+  } catch (err) {
+    post({ error: `Does not compile: ${err.message}` });
+    return;
+  }
+  post({ ok: true });
+  serve(fn, data.buffer);
+};
+
+const post = lockDownWorker();
+
+// Apply a rounds delta from the host to a mirrored array
+const mirror = (rounds, delta) => rounds.slice(rounds.length - delta.keep).concat(deepFreeze(delta.rounds));
+
+function play(fn, mirrors, { seed, channel, history, myHistory, context }) {
+  const seen = mirrors.get(channel) || { history: [], myHistory: [] };
+  seen.history = mirror(seen.history, history);
+  seen.myHistory = mirror(seen.myHistory, myHistory);
+  mirrors.set(channel, seen);
+  const memory = context.opponent ? context.opponent.memory : null;
+  let move;
+  try {
+    move = fn(Object.freeze(seen.history.slice()), Object.freeze(seen.myHistory.slice()), createRng(seed), deepFreeze(context, memory));
+  } catch (err) {
+    return { reason: thrownReason(err) };
+  }
+  return { ...judgeMove(move), memory };
+}
+
+function serve(fn, buffer) {
+  const state = new Int32Array(buffer, 0, 2);
+  const bytes = new Uint8Array(buffer, HEADER_BYTES);
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder();
+  const mirrors = new Map();
+  for (;;) {
+    const flag = Atomics.load(state, 0);
+    if (flag !== REQUEST) {
+      Atomics.wait(state, 0, flag);
+      continue;
+    }
+    const request = JSON.parse(decoder.decode(bytes.slice(0, state[1])));
+    let reply;
+    try {
+      reply = JSON.stringify(play(fn, mirrors, request));
+    } catch (err) {
+      reply = JSON.stringify({ reason: `Kept an opponent memory that is not plain data: ${err.message}` });
+    }
+    let { read, written } = encoder.encodeInto(reply, bytes);
+    if (read < reply.length) {
+      ({ written } = encoder.encodeInto(JSON.stringify({ reason: "Kept an opponent memory too large for the sandbox" }), bytes));
+    }
+    state[1] = written;
+    Atomics.store(state, 0, REPLY);
+    Atomics.notify(state, 0);
+  }
+}
@@ -0,0 +1,118 @@
+// Neural policy agent: a small multilayer perceptron, in plain JS, trained with REINFORCE.
+// Input: the last NEURAL_WINDOW rounds, two features each (own move, opponent move: +1 for C,
+// -1 for D, 0 before the match has that many rounds). One tanh hidden layer feeds a sigmoid
+// output, the probability of cooperating, and the move is sampled from it.
+// Training: every sampled move is remembered with its payoff. When the episode ends (a new match
+// starts, or NEURAL_EPISODE rounds have passed) each move is credited with its discounted
+// return-to-go, normalised across the episode, and the weights take one gradient step on
+// log-probability times that advantage.
+import { createRng } from "./random.js";
+
+export const NEURAL_WINDOW = 4;
+export const NEURAL_HIDDEN = 8;
+export const NEURAL_LEARNING_RATE = 0.1;
+export const NEURAL_DISCOUNT = 0.9;
+export const NEURAL_EPISODE = 50; // longer matches are trained in truncated chunks
+// Every network starts from the same weights, so a seed still replays a run exactly
+const NEURAL_INIT_SEED = 20250819;
+// Per-episode average cooperation probabilities kept for the over-time chart
+const NEURAL_TRACE = 120;
+
+const INPUTS = NEURAL_WINDOW * 2;
+const encode = (move) => (move === "C" ? 1 : -1);
+
+function features(history) {
+  const x = new Array(INPUTS).fill(0);
+  history.slice(-NEURAL_WINDOW).reverse().forEach((round, i) => {
+    x[2 * i] = encode(round.self);
+    x[2 * i + 1] = encode(round.opponent);
+  });
+  return x;
+}
+
+function forward(net, x) {
+  const hidden = net.w1.map((row, j) => Math.tanh(row.reduce((sum, w, i) => sum + w * x[i], net.b1[j])));
+  const z = hidden.reduce((sum, h, j) => sum + net.w2[j] * h, net.b2);
+  return { hidden, p: 1 / (1 + Math.exp(-z)) };
+}
+
+export function createNeuralBrain() {
+  const rng = createRng(NEURAL_INIT_SEED);
+  const scale = Math.sqrt(1 / INPUTS);
+  return {
+    net: {
+      w1: Array.from({ length: NEURAL_HIDDEN }, () => Array.from({ length: INPUTS }, () => (rng() * 2 - 1) * scale)),
+      b1: new Array(NEURAL_HIDDEN).fill(0),
+      w2: Array.from({ length: NEURAL_HIDDEN }, () => (rng() * 2 - 1) * Math.sqrt(1 / NEURAL_HIDDEN)),
+      b2: 0,
+    },
+    episode: [], // { x, hidden, p, move, reward }
+    current: 0.5,
+    trace: [],
+    train: function() {
+      const steps = this.episode.filter((step) => step.reward !== undefined);
+      this.episode = [];
+      if (steps.length === 0) {
+        return;
+      }
+      this.trace.push(steps.reduce((sum, step) => sum + step.p, 0) / steps.length);
+      if (this.trace.length > NEURAL_TRACE) {
+        this.trace.shift();
+      }
+      let ret = 0;
+      const returns = steps.map(() => 0);
+      for (let t = steps.length - 1; t >= 0; t--) {
+        ret = steps[t].reward + NEURAL_DISCOUNT * ret;
+        returns[t] = ret;
+      }
+      const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+      const std = Math.sqrt(returns.reduce((a, b) => a + (b - mean) ** 2, 0) / returns.length);
+      if (std < 1e-6) {
+        return; // every move did equally well: nothing to tell apart
+      }
+      const { w1, b1, w2 } = this.net;
+      steps.forEach((step, t) => {
+        const advantage = (returns[t] - mean) / std;
+        // d log pi(move) / d z for a sigmoid output
+        const dz = NEURAL_LEARNING_RATE * advantage * ((step.move === "C" ? 1 : 0) - step.p) / steps.length;
+        step.hidden.forEach((h, j) => {
+          const dh = dz * w2[j] * (1 - h * h);
+          w2[j] += dz * h;
+          b1[j] += dh;
+          w1[j].forEach((w, i) => {
+            w1[j][i] = w + dh * step.x[i];
+          });
+        });
+        this.net.b2 += dz;
+      });
+    }
+  };
+}
+
+export function neuralDecide(history, myHistory, rng) {
+  if (history.length === 0 || this.episode.length >= NEURAL_EPISODE) {
+    this.train();
+  }
+  const x = features(history);
+  const { hidden, p } = forward(this.net, x);
+  const move = rng() < p ? "C" : "D";
+  this.current = p;
+  this.episode.push({ x, hidden, p, move });
+  return move;
+}
+
+export function neuralLearn(round) {
+  const step = this.episode[this.episode.length - 1];
+  if (step) {
+    step.reward = round.payoff;
+  }
+}
+
+export function neuralInspect() {
+  return {
+    title: "Policy network",
+    bars: [{ label: "P(cooperate) now", value: this.current }],
+    series: this.trace.slice(),
+    seriesLabel: "Average P(cooperate) per training episode",
+  };
+}
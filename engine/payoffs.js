@@ -0,0 +1,71 @@
+// Payoff matrix for the symmetric 2x2 game the agents play.
+// R: reward for mutual cooperation, T: temptation to defect against a cooperator,
+// P: punishment for mutual defection, S: sucker's payoff for cooperating against a defector.
+export const PD = {
+  R: 3,
+  T: 5,
+  P: 1,
+  S: 0,
+};
+
+// Payoffs for a single round, from A's and B's point of view
+export function payoffsFor(moveA, moveB, payoffs = PD) {
+  if (moveA === "C" && moveB === "C") {
+    return [payoffs.R, payoffs.R];
+  }
+  if (moveA === "C" && moveB === "D") {
+    return [payoffs.S, payoffs.T];
+  }
+  if (moveA === "D" && moveB === "C") {
+    return [payoffs.T, payoffs.S];
+  }
+  return [payoffs.P, payoffs.P];
+}
+
+// Check the Prisoner's Dilemma conditions T > R > P > S and 2R > T + S.
+// Returns every violated condition so the editor can explain what kind of game was built.
+export function checkPrisonersDilemma({ R, T, P, S }) {
+  const issues = [];
+  if ([R, T, P, S].some((v) => !Number.isFinite(v))) {
+    return { valid: false, issues: ["Every payoff must be a number."] };
+  }
+  if (!(T > R)) {
+    issues.push("T must exceed R: without a temptation to defect there is no dilemma.");
+  }
+  if (!(R > P)) {
+    issues.push("R must exceed P: mutual cooperation has to beat mutual defection.");
+  }
+  if (!(P > S)) {
+    issues.push("P must exceed S: being exploited has to be the worst outcome.");
+  }
+  if (!(2 * R > T + S)) {
+    issues.push("2R must exceed T + S: otherwise taking turns exploiting each other beats steady cooperation.");
+  }
+  return { valid: issues.length === 0, issues };
+}
+
+// Smallest continuation probability w at which Tit-for-Tat is a best reply to itself,
+// i.e. neither always defecting nor alternating D/C pays better: max((T-R)/(T-P), (T-R)/(R-S)).
+// Returns null when the matrix is not a Prisoner's Dilemma.
+export function titForTatThreshold(payoffs) {
+  if (!checkPrisonersDilemma(payoffs).valid) {
+    return null;
+  }
+  const { R, T, P, S } = payoffs;
+  return Math.max((T - R) / (T - P), (T - R) / (R - S));
+}
+
+// The matrix as a player can read it off its own rounds: the most recent payoff seen for each
+// outcome, with fallback's value for outcomes it has not met yet. Strategies are not told the
+// game, so learners that reason about payoffs use this. Scans backwards and stops early.
+export function observedPayoffs(rounds, fallback = PD) {
+  const seen = {};
+  const key = { CC: "R", CD: "S", DC: "T", DD: "P" };
+  for (let i = rounds.length - 1; i >= 0 && Object.keys(seen).length < 4; i--) {
+    const k = key[rounds[i].self + rounds[i].opponent];
+    if (!(k in seen)) {
+      seen[k] = rounds[i].payoff;
+    }
+  }
+  return { ...fallback, ...seen };
+}
@@ -0,0 +1,3 @@
+// Third-party and team strategies. Import each module that calls registerStrategy here, e.g.
+//   import "./plugins/myStrategy.js";
+// Built-ins are registered by strategies.js before this file runs.
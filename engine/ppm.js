@@ -0,0 +1,128 @@
+// Variable-order Markov prediction (prediction by partial matching) for the Pattern Detective.
+// The model counts the opponent's next move after every context of the last 0 to PPM_MAX_ORDER
+// rounds, each round written as its outcome (own move first, e.g. "CD"), so it learns reactions
+// to our moves as well as the opponent's own rhythms. Old evidence fades: a count loses a factor
+// PPM_DECAY per update since it was last touched.
+// To predict, the model uses the longest context it has confident evidence for (at least
+// PPM_MIN_EVIDENCE decayed observations, with the majority move at PPM_MIN_CONFIDENCE or more)
+// and escapes to shorter contexts otherwise. With no confident context left it falls back on the
+// opponent's overall frequency averaged with reciprocity (they answer our last move in kind), which
+// keeps it from defecting into contexts it has never tried.
+// Moves are chosen by expected payoff under the payoff matrix (revealed by the game context, or
+// else read off the agent's own rounds), looking PPM_LOOKAHEAD rounds ahead so that the predicted
+// reaction to a defection counts, not just the next round's temptation.
+import { observedPayoffs } from "./payoffs.js";
+
+export const PPM_MAX_ORDER = 4;
+export const PPM_DECAY = 0.995;
+export const PPM_MIN_EVIDENCE = 2;
+export const PPM_MIN_CONFIDENCE = 0.6;
+export const PPM_LOOKAHEAD = 4;
+
+const outcomesOf = (history) => history.slice(-PPM_MAX_ORDER).map((h) => h.self + h.opponent);
+const contextOf = (recent, order) => recent.slice(recent.length - order).join("");
+
+// Decayed counts for a context, or null when it was never seen
+function evidence(brain, context) {
+  const entry = brain.counts[context];
+  if (!entry) {
+    return null;
+  }
+  const fade = PPM_DECAY ** (brain.clock - entry.clock);
+  return { C: entry.C * fade, D: entry.D * fade };
+}
+
+function confident(counts) {
+  const total = counts.C + counts.D;
+  return total >= PPM_MIN_EVIDENCE && Math.max(counts.C, counts.D) / total >= PPM_MIN_CONFIDENCE;
+}
+
+// { p: chance the opponent cooperates next, order, context } for the given recent outcomes
+export function ppmPredict(brain, recent) {
+  for (let order = Math.min(PPM_MAX_ORDER, recent.length); order >= 1; order--) {
+    const context = contextOf(recent, order);
+    const counts = evidence(brain, context);
+    if (counts && confident(counts)) {
+      return { p: counts.C / (counts.C + counts.D), order, context };
+    }
+  }
+  // Escape to order 0: the overall cooperation rate, averaged with the assumption that the
+  // opponent answers our last move in kind until the contexts say otherwise
+  const base = evidence(brain, "");
+  const rate = base && base.C + base.D > 0 ? base.C / (base.C + base.D) : 0.5;
+  const reciprocal = recent.length === 0 ? 0.5 : recent[recent.length - 1][0] === "C" ? 1 : 0;
+  return { p: (rate + reciprocal) / 2, order: 0, context: "" };
+}
+
+// Best expected payoff over `depth` rounds, branching on the predicted opponent move
+function lookahead(brain, recent, depth, payoffs) {
+  if (depth === 0) {
+    return 0;
+  }
+  return Math.max(moveValue(brain, recent, "C", depth, payoffs), moveValue(brain, recent, "D", depth, payoffs));
+}
+
+function moveValue(brain, recent, move, depth, payoffs) {
+  const { p } = ppmPredict(brain, recent);
+  const gain = (theirs) => (move === "C" ? (theirs === "C" ? payoffs.R : payoffs.S) : (theirs === "C" ? payoffs.T : payoffs.P));
+  const future = (theirs) => lookahead(brain, [...recent, move + theirs].slice(-PPM_MAX_ORDER), depth - 1, payoffs);
+  return p * (gain("C") + future("C")) + (1 - p) * (gain("D") + future("D"));
+}
+
+export function createPpmBrain() {
+  return { counts: {}, clock: 0, last: null };
+}
+
+export function ppmDecide(history, myHistory, rng, context = {}) {
+  const { horizon, payoffs: revealed } = context;
+  const recent = outcomesOf(history);
+  this.last = ppmPredict(this, recent);
+  const payoffs = revealed || observedPayoffs(myHistory);
+  const depth = horizon && horizon.roundsRemaining ? Math.min(PPM_LOOKAHEAD, horizon.roundsRemaining) : PPM_LOOKAHEAD;
+  return moveValue(this, recent, "C", depth, payoffs) >= moveValue(this, recent, "D", depth, payoffs) ? "C" : "D";
+}
+
+// Count the opponent's move after every context that preceded it
+export function ppmLearn(round, history) {
+  this.clock++;
+  const recent = outcomesOf(history.slice(-PPM_MAX_ORDER - 1, -1));
+  for (let order = 0; order <= recent.length; order++) {
+    const context = contextOf(recent, order);
+    const counts = evidence(this, context) || { C: 0, D: 0 };
+    counts[round.opponent]++;
+    this.counts[context] = { ...counts, clock: this.clock };
+  }
+}
+
+const readable = (context) => context.match(/../g).join(" ");
+
+// The prediction behind the last move, then the strongest patterns learned so far
+export function ppmInspect() {
+  const bars = [];
+  if (this.last) {
+    const { p, order, context } = this.last;
+    const likely = p >= 0.5 ? "C" : "D";
+    bars.push({
+      label: `Next: ${likely} (${order > 0 ? `after ${readable(context)}` : "no confident pattern"})`,
+      value: likely === "C" ? p : 1 - p,
+    });
+  }
+  const likelyAfter = (context) => {
+    const counts = evidence(this, context);
+    return counts.C >= counts.D ? "C" : "D";
+  };
+  // Longer contexts are only listed where they overturn the prediction of the shorter one
+  Object.keys(this.counts)
+    .filter((context) => context !== "" && confident(evidence(this, context)))
+    .filter((context) => context.length === 2 || likelyAfter(context) !== likelyAfter(context.slice(2)))
+    .map((context) => {
+      const counts = evidence(this, context);
+      const likely = likelyAfter(context);
+      const total = counts.C + counts.D;
+      return { context, total, likely, share: counts[likely] / total };
+    })
+    .sort((a, b) => b.total * b.share - a.total * a.share)
+    .slice(0, 4)
+    .forEach((entry) => bars.push({ label: `${readable(entry.context)} → ${entry.likely}`, value: entry.share }));
+  return { title: "Top predictions", bars };
+}
@@ -0,0 +1,17 @@
+// One-off matches for the builders' live previews: a candidate definition against a fresh copy
+// of a registered strategy, on a fixed seed so the preview only changes when the design does.
+import { DEFAULT_CONFIG, playGame } from "./simulation.js";
+import { attachFreshBrain } from "./agents.js";
+import { createRng } from "./random.js";
+import { getStrategy } from "./registry.js";
+
+// Returns { scoreA, scoreB, historyA, historyB } or null for an unknown opponent
+export function previewMatch(definition, opponentId, { rounds = DEFAULT_CONFIG.rounds, seed = 1, config = DEFAULT_CONFIG } = {}) {
+  const opponentDefinition = getStrategy(opponentId);
+  if (!opponentDefinition) {
+    return null;
+  }
+  const candidate = attachFreshBrain({ id: "preview", name: definition.name, definition, myHistory: [] });
+  const opponent = attachFreshBrain({ id: opponentId, name: opponentDefinition.name, definition: opponentDefinition, myHistory: [] });
+  return playGame(candidate, opponent, createRng(seed), { ...config, matchLength: "fixed", rounds });
+}
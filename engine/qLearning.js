@@ -0,0 +1,141 @@
+// Configurable tabular Q-learning, shared by the built-in Q-Learning Agent and the variants built
+// in the Q-learning lab.
+// A config is { epsilon, alpha, gamma, opponentMemory, selfMemory, roundCap }:
+//   epsilon / alpha: exploration and learning rates as { start, schedule, rate, floor }, decayed by
+//     the number of updates the brain has made (see decayed)
+//   gamma: discount on the best next-state value
+//   opponentMemory / selfMemory: how many of the opponent's and the agent's own recent moves make
+//     up the state
+//   roundCap: 0 leaves the round index out of the state; otherwise rounds are told apart up to
+//     roundCap, and every later round shares one "roundCap+" state
+// The built-in Q-Learning Agent is this learner on DEFAULT_Q_CONFIG; the lab's variants only
+// change the config.
+
+export const DECAY_SCHEDULES = {
+  constant: "Constant",
+  linear: "Linear",
+  exponential: "Exponential",
+  inverse: "Inverse (1 / t)",
+};
+
+// The original Q-Learning Agent: last three opponent moves, fixed rates
+export const DEFAULT_Q_CONFIG = {
+  epsilon: { start: 0.1, schedule: "constant", rate: 0, floor: 0 },
+  alpha: { start: 0.1, schedule: "constant", rate: 0, floor: 0 },
+  gamma: 0.9,
+  opponentMemory: 3,
+  selfMemory: 0,
+  roundCap: 0,
+};
+
+// Value of a decaying parameter after `step` updates; never below floor unless start is
+export function decayed({ start, schedule = "constant", rate = 0, floor = 0 }, step) {
+  let value;
+  switch (schedule) {
+    case "linear":
+      value = start - rate * step;
+      break;
+    case "exponential":
+      value = start * Math.exp(-rate * step);
+      break;
+    case "inverse":
+      value = start / (1 + rate * step);
+      break;
+    default:
+      return start;
+  }
+  return Math.max(Math.min(floor, start), value);
+}
+
+// State key for the rounds played so far in this match, e.g. "CDD|CC@4"
+export function qStateKey({ opponentMemory, selfMemory, roundCap }, history) {
+  if (history.length === 0) {
+    return "start";
+  }
+  let key = opponentMemory > 0 ? history.slice(-opponentMemory).map(h => h.opponent).join("") : "";
+  if (selfMemory > 0) {
+    key += "|" + history.slice(-selfMemory).map(h => h.self).join("");
+  }
+  if (roundCap > 0) {
+    key += "@" + (history.length >= roundCap ? `${roundCap}+` : history.length);
+  }
+  return key;
+}
+
+// Fresh brain for a config: the Q-table plus the current rates, refreshed after every update
+export function createQBrain(config = DEFAULT_Q_CONFIG) {
+  return {
+    config,
+    qTable: {},
+    steps: 0,
+    epsilon: decayed(config.epsilon, 0),
+    alpha: decayed(config.alpha, 0),
+    gamma: config.gamma,
+    getState: function(history) {
+      return qStateKey(this.config, history);
+    },
+    updateQ: function(state, action, reward, nextState) {
+      const current = this.qTable[state + "_" + action] || 0;
+      const nextMax = Math.max(
+        this.qTable[nextState + "_C"] || 0,
+        this.qTable[nextState + "_D"] || 0
+      );
+      this.qTable[state + "_" + action] = current + this.alpha * (reward + this.gamma * nextMax - current);
+      this.steps++;
+      this.epsilon = decayed(this.config.epsilon, this.steps);
+      this.alpha = decayed(this.config.alpha, this.steps);
+    }
+  };
+}
+
+// decide/learn for a Q brain; both run with the brain as `this`
+export function qDecide(history, myHistory, rng) {
+  const state = this.getState(history);
+  if (rng() < this.epsilon) {
+    return rng() < 0.5 ? "C" : "D";
+  }
+  const qC = this.qTable[state + "_C"] || 0;
+  const qD = this.qTable[state + "_D"] || 0;
+  return qC > qD ? "C" : "D";
+}
+
+export function qLearn(round, history) {
+  this.updateQ(this.getState(history.slice(0, -1)), round.self, round.payoff, this.getState(history));
+}
+
+const rateLabel = ({ start, schedule, rate, floor }) => schedule === "constant"
+  ? `${start}`
+  : `${start} (${schedule}, rate ${rate}, floor ${floor})`;
+
+// One-line summary of a config for tooltips and the lab's variant list
+export function describeQConfig(config) {
+  const state = [`last ${config.opponentMemory} opponent`];
+  if (config.selfMemory > 0) {
+    state.push(`last ${config.selfMemory} own`);
+  }
+  if (config.roundCap > 0) {
+    state.push(`round index up to ${config.roundCap}`);
+  }
+  return `ε ${rateLabel(config.epsilon)}; α ${rateLabel(config.alpha)}; γ ${config.gamma}; state: ${state.join(", ")}`;
+}
+
+// Registry definition for a Q-learner configured in the lab
+export function qLearnerDefinition(config, id, name) {
+  return {
+    id,
+    name,
+    decide: qDecide,
+    reset: () => createQBrain(config),
+    learn: qLearn,
+    metadata: {
+      desc: "A Q-learning agent with hand-tuned hyperparameters.",
+      reasoning: `Reinforcement learning over a table of state-action values. ${describeQConfig(config)}.`,
+      strengths: ["Learns a best response to consistent opponents", "Decaying exploration settles on what it has learned"],
+      weaknesses: ["Larger states take longer to learn", "Pays for exploration, especially early on"],
+      realWorld: "Trial and error with a notebook: try moves, write down what paid off, do more of it.",
+      performance: "Compare variants side by side in the leaderboard or with the Monte Carlo runner.",
+      isClassic: false,
+      qLearning: config,
+    },
+  };
+}
@@ -0,0 +1,33 @@
+// Seedable PRNG so that a seed plus a config always replays the same run.
+// mulberry32: tiny, fast and good enough for pairing and mixed strategies.
+
+// Normalise user input (number or numeric string) to an unsigned 32-bit seed
+export function normalizeSeed(seed) {
+  const n = Number(seed);
+  if (!Number.isFinite(n)) {
+    return 0;
+  }
+  return Math.floor(Math.abs(n)) >>> 0;
+}
+
+// Fresh seed for a new run; the only place Math.random is allowed in the engine
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+// Returns a function yielding floats in [0, 1), like Math.random
+export function createRng(seed) {
+  let a = normalizeSeed(seed);
+  return function rng() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  };
+}
+
+// Integer in [0, n)
+export function randomInt(rng, n) {
+  return Math.floor(rng() * n);
+}
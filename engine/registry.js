@@ -0,0 +1,73 @@
+// Strategy registry: every strategy the engine can field, built-in or third-party.
+// registerStrategy({ id, name, decide, reset, learn, inspect, metadata })
+//   decide(history, myHistory, rng, context) -> "C" | "D"           (required)
+//     myHistory holds the agent's most recent rounds across all matches (MY_HISTORY_LIMIT of
+//     them); context is the game context from context.js: { round, opponent, horizon, payoffs,
+//     population }, each field but round null unless the run's visibility rules reveal it.
+//     context.opponent.memory is a plain object the agent keeps for that opponent across
+//     matches, free to read and write
+//   reset() -> brain: fresh per-agent learning state                  (optional; stateless if omitted)
+//   learn(round, history, context): called after every round with this agent's round record,
+//     the match history so far and the same context                  (optional)
+//   inspect() -> { title, bars: [{ label, value }], series, seriesLabel }: a plain-data view of
+//     what the brain currently believes, shown live in the agent's tooltip; values are shares in
+//     [0, 1], and the optional series is a trend over time in the same range      (optional)
+//   decide, learn and inspect run with the agent's brain as `this`.
+//   metadata: tooltip and ring fields (desc, reasoning, strengths, weaknesses, realWorld,
+//     performance, isClassic) plus model, a URL to an FBX character for the 3D scene.
+// Strategies must be registered before a simulation is created; modules that register
+// third-party strategies are listed in plugins.js so every engine context (UI worker, batch
+// worker, Node scripts) loads them.
+
+const DEFAULT_METADATA = {
+  desc: "",
+  reasoning: "",
+  strengths: [],
+  weaknesses: [],
+  realWorld: "",
+  performance: "",
+  isClassic: false,
+  model: null,
+};
+
+const registry = new Map();
+
+export function registerStrategy({ id, name, decide, reset = null, learn = null, inspect = null, metadata = {} }) {
+  if (typeof id !== "string" || id === "") {
+    throw new Error("registerStrategy: id must be a non-empty string");
+  }
+  if (registry.has(id)) {
+    throw new Error(`registerStrategy: "${id}" is already registered`);
+  }
+  if (typeof decide !== "function") {
+    throw new Error(`registerStrategy: "${id}" needs a decide function`);
+  }
+  if ([reset, learn, inspect].some((hook) => hook && typeof hook !== "function")) {
+    throw new Error(`registerStrategy: "${id}" reset, learn and inspect must be functions when given`);
+  }
+  const definition = {
+    id,
+    name: name || id,
+    decide,
+    reset,
+    learn,
+    inspect,
+    metadata: { ...DEFAULT_METADATA, ...metadata },
+  };
+  registry.set(id, definition);
+  return definition;
+}
+
+// Remove a strategy so its id can be registered again (used when a submission is edited)
+export function unregisterStrategy(id) {
+  return registry.delete(id);
+}
+
+export function getStrategy(id) {
+  return registry.get(id) || null;
+}
+
+// Registered strategies in registration order (built-ins first)
+export function listStrategies() {
+  return [...registry.values()];
+}
@@ -0,0 +1,233 @@
+// User-written strategies typed into the in-browser editor.
+// A submission is { id, name, source, budgetMs } where source is a JavaScript function expression
+// (history, myHistory, rng, context) => "C" | "D". Before it reaches the fishbowl it is vetted in a
+// throwaway sandbox worker (see sandboxWorker.js) that the UI terminates if it hangs; a move
+// slower than budgetMs fails vetting. Once registered, each submission plays from its own move
+// sandbox worker (see moveSandbox.js), which gets copies of the inputs and is terminated when a
+// move takes longer than MOVE_TIMEOUT_MS. A throw, a timeout or a return value other than "C"/"D"
+// disqualifies the submission, which then forfeits by cooperating until it is submitted again.
+// Only that hard timeout applies once registered: disqualifying on the machine's speed alone would
+// make seeded runs replay differently.
+import { DEFAULT_CONFIG, playGame } from "./simulation.js";
+import { attachFreshBrain, createPopulation } from "./agents.js";
+import { createRng } from "./random.js";
+import { registerStrategy, unregisterStrategy } from "./registry.js";
+import { fsmDefinition } from "./fsm.js";
+import { memoryOneDefinition } from "./memoryOne.js";
+import { qLearnerDefinition } from "./qLearning.js";
+import { isGenome, lookupDefinition } from "./lookup.js";
+import { banditDefinition } from "./bandits.js";
+import { compileStrategy, deepFreeze, judgeMove, thrownReason } from "./isolation.js";
+import { MOVE_TIMEOUT_MS, canIsolateMoves, startMoveSandbox } from "./moveSandbox.js";
+import { previewMatch } from "./preview.js";
+
+export const DEFAULT_MOVE_BUDGET_MS = 5;
+export const VETTING_ROUNDS = 50; // rounds played against every registered strategy before admission
+export const VETTING_TIMEOUT_MS = 3000; // the UI kills the sandbox worker after this long
+
+export const STARTER_SOURCE = `// history: rounds from your side, oldest first: { self, opponent, payoff }
+// myHistory: your most recent rounds across all matches; rng(): seeded random in [0, 1)
+// context: { round, opponent, horizon, payoffs, population }; fields the run keeps hidden are
+//   null. opponent is { id, memory }, memory a plain-data object you keep for this opponent
+// Return "C" to cooperate or "D" to defect.
+(history, myHistory, rng, context) => {
+  if (history.length === 0) {
+    return "C";
+  }
+  const last = history[history.length - 1];
+  return last.opponent === "D" && rng() > 0.1 ? "D" : "C";
+}`;
+
+// Turn play(history, myHistory, rng, context) -> { move } | { reason } into a decide function.
+// status.disqualified is set to { reason, round } on the first reason.
+function guarded(play, status) {
+  return (history, myHistory, rng, context) => {
+    if (status.disqualified) {
+      return "C";
+    }
+    const { move, reason } = play(history, myHistory, rng, context);
+    if (reason) {
+      status.disqualified = { reason, round: history.length + 1 };
+      return "C";
+    }
+    return move;
+  };
+}
+
+// Frozen copies of a move's inputs; the opponent memory is the one thing a submission may change
+function frozenInputs(history, myHistory, context) {
+  const { opponent } = context;
+  const copy = structuredClone({ ...context, opponent: opponent && { id: opponent.id } });
+  if (opponent) {
+    copy.opponent.memory = opponent.memory;
+  }
+  return [deepFreeze(structuredClone(history)), deepFreeze(structuredClone(myHistory)), deepFreeze(copy, opponent?.memory)];
+}
+
+// Run a compiled submission in-process, as vetting does: every move gets frozen copies of its
+// inputs, is validated and, when budgetMs is given, timed against it
+export function guardDecide(fn, status, budgetMs = null) {
+  return guarded((history, myHistory, rng, context) => {
+    const [frozenHistory, frozenMyHistory, frozenContext] = frozenInputs(history, myHistory, context);
+    const start = performance.now();
+    let move;
+    try {
+      move = fn(frozenHistory, frozenMyHistory, rng, frozenContext);
+    } catch (err) {
+      return { reason: thrownReason(err) };
+    }
+    const elapsed = performance.now() - start;
+    if (budgetMs !== null && elapsed > budgetMs) {
+      return { reason: `Took ${elapsed.toFixed(1)} ms for one move (budget ${budgetMs} ms)` };
+    }
+    return judgeMove(move);
+  }, status);
+}
+
+// Play a submission through its move sandbox (see moveSandbox.js), handing it a seed drawn from
+// the run's rng so that seeded runs replay exactly
+function isolatedDecide(sandbox, status) {
+  return guarded((history, myHistory, rng, context) => sandbox.play(history, myHistory, Math.floor(rng() * 2 ** 32), context), status);
+}
+
+// Code submissions play through sandbox when one is given and in-process under their move budget
+// (vetting) otherwise
+function definitionFor(submission, sandbox = null) {
+  if (submission.kind === "fsm") {
+    return fsmDefinition(submission.fsm, submission.id);
+  }
+  if (submission.kind === "memoryOne") {
+    return memoryOneDefinition(submission.strategy, submission.id, submission.name);
+  }
+  if (submission.kind === "qLearner") {
+    return qLearnerDefinition(submission.config, submission.id, submission.name);
+  }
+  if (submission.kind === "bandit") {
+    return banditDefinition(submission.config, submission.id, submission.name);
+  }
+  if (submission.kind === "lookup") {
+    if (!isGenome(submission.genome)) {
+      throw new Error("Not a lookup-table genome");
+    }
+    return lookupDefinition(submission.genome, submission.id, submission.name, submission.origin);
+  }
+  const { id, name, source, budgetMs = DEFAULT_MOVE_BUDGET_MS } = submission;
+  const status = { disqualified: null };
+  return {
+    id,
+    name,
+    decide: sandbox ? isolatedDecide(sandbox, status) : guardDecide(compileStrategy(source), status, budgetMs),
+    metadata: {
+      desc: "A strategy written in the in-browser editor.",
+      reasoning: "User-submitted code, run move by move in its own sandbox and validated on every call.",
+      strengths: ["Whatever you designed it for"],
+      weaknesses: ["Disqualified on errors, invalid moves or moves that never return"],
+      realWorld: "Your own theory of cooperation, put to the test.",
+      performance: `Per-move budget at vetting: ${budgetMs} ms; hard limit in play: ${MOVE_TIMEOUT_MS} ms.`,
+      isClassic: false,
+      submission: status, // live: snapshots report status.disqualified
+    },
+  };
+}
+
+// Play the submission against every registered strategy on a fixed seed.
+// Returns { ok: true } or { ok: false, error }. Only code submissions carry a disqualification
+// status; the plain-data kinds cannot break the rules, so for them vetting checks that they build
+// and play.
+export function vetSubmission(submission) {
+  let definition;
+  try {
+    definition = definitionFor(submission);
+  } catch (err) {
+    return { ok: false, error: submission.kind ? `Invalid ${submission.kind} submission: ${err.message}` : `Does not compile: ${err.message}` };
+  }
+  const candidate = attachFreshBrain({ id: submission.id, name: submission.name, definition, myHistory: [] });
+  const config = { ...DEFAULT_CONFIG, matchLength: "fixed", rounds: VETTING_ROUNDS };
+  const rng = createRng(1);
+  for (const opponent of createPopulation()) {
+    playGame(candidate, opponent, rng, config);
+    const disqualified = definition.metadata.submission?.disqualified;
+    if (disqualified) {
+      return { ok: false, error: `Against ${opponent.name}, round ${disqualified.round}: ${disqualified.reason}` };
+    }
+  }
+  return { ok: true };
+}
+
+// Preview matches (see preview.js) for plain-data submissions, in the shape the preview worker
+// posts back: { scoreA, scoreB, payoffsA } per submission, plus historyA and historyB when
+// options.histories is set; null when it does not build, is code, or the opponent is unknown
+export function previewSubmissions(submissions, opponentId, options) {
+  return submissions.map((submission) => {
+    if (!submission.kind) {
+      return null;
+    }
+    let preview;
+    try {
+      preview = previewMatch(definitionFor(submission), opponentId, options);
+    } catch (err) {
+      return null;
+    }
+    if (!preview) {
+      return null;
+    }
+    const result = { scoreA: preview.scoreA, scoreB: preview.scoreB, payoffsA: preview.historyA.map((round) => round.payoff) };
+    return options?.histories ? { ...result, historyA: preview.historyA, historyB: preview.historyB } : result;
+  });
+}
+
+// Id prefix for each kind of submission; code submissions have no kind
+const ID_PREFIXES = { code: "USER", fsm: "FSM", memoryOne: "M1", qLearner: "QL", bandit: "MB", lookup: "GA" };
+
+// Id for a submission named `name`: the id of the one it replaces (same kind, same name) if there
+// is one, else a new id from the name that no other submission uses. Names that only differ in
+// punctuation ("My Bot", "My-Bot") get numbered ids instead of replacing each other.
+export function submissionId(submissions, kind, name) {
+  const same = submissions.find((s) => s.kind === kind && s.name === name);
+  if (same) {
+    return same.id;
+  }
+  const base = `${ID_PREFIXES[kind ?? "code"]}_${name.replace(/\W+/g, "_").toUpperCase()}`;
+  const taken = new Set(submissions.map((s) => s.id));
+  let id = base;
+  for (let n = 2; taken.has(id); n++) {
+    id = `${base}_${n}`;
+  }
+  return id;
+}
+
+// Submissions with `submission` added at the end, replacing any with the same id
+export const withSubmission = (submissions, submission) => [...submissions.filter((s) => s.id !== submission.id), submission];
+
+const registeredIds = new Set();
+let sandboxes = [];
+
+// Make the registry hold exactly these submissions (each with a fresh disqualification status).
+// Submissions with kind "fsm" carry a state machine from the FSM editor, kind "memoryOne" the
+// slider settings { p, opening }, kind "qLearner" a Q-learning config, kind "lookup" an evolved
+// genome and kind "bandit" a Meta-Strategist config instead of source; all are plain data and
+// need no sandbox. Code submissions get a fresh move sandbox each, so the returned promise
+// settles once those have started; await it before creating a simulation. Code that no longer
+// compiles, or any code when the page is not cross-origin isolated, stays out of the roster.
+export async function syncSubmissions(submissions = []) {
+  registeredIds.forEach((id) => unregisterStrategy(id));
+  registeredIds.clear();
+  sandboxes.forEach((sandbox) => sandbox.stop());
+  const isolated = canIsolateMoves();
+  const started = await Promise.allSettled(
+    submissions.map((submission) => (submission.kind || !isolated ? null : startMoveSandbox(submission.source))),
+  );
+  sandboxes = started.map((result) => result.value).filter(Boolean);
+  submissions.forEach((submission, i) => {
+    const sandbox = started[i].value ?? null;
+    if (!submission.kind && !sandbox) {
+      return;
+    }
+    try {
+      registerStrategy(definitionFor(submission, sandbox));
+      registeredIds.add(submission.id);
+    } catch (err) {
+      // plain data that does not build stays out of the roster too
+    }
+  });
+}
@@ -0,0 +1,12 @@
+// Throwaway worker that vets one editor submission: { submission } in, { ok, error } out.
+// The UI terminates it after VETTING_TIMEOUT_MS, so a submission that never returns cannot
+// reach the simulation worker. Like a move sandbox it has no network, storage or messaging
+// globals left for the code under test.
+import { vetSubmission } from "./sandbox.js";
+import { lockDownWorker } from "./isolation.js";
+
+self.onmessage = ({ data }) => {
+  post(vetSubmission(data.submission));
+};
+
+const post = lockDownWorker();
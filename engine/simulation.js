@@ -0,0 +1,393 @@
+// Headless Iterated Prisoner's Dilemma engine.
+// Framework-free: no React, no Three.js, so tournaments can be scripted from Node or a worker.
+import { AGENT_COUNT, attachFreshBrain, createPopulation } from "./agents.js";
+import { createRng, normalizeSeed, randomInt, randomSeed } from "./random.js";
+import { fitnessOf, isFixated, moranStep, seedMoranPopulation } from "./evolution.js";
+import { PD, payoffsFor } from "./payoffs.js";
+import { resolvePayoffs } from "./games.js";
+import { gameContext } from "./context.js";
+
+export { PD, AGENT_COUNT, createPopulation };
+
+// --- Simulation params ---
+export const ITERATED_LENGTH = 20;
+export const MAX_MATCH_ROUNDS = 1000; // safety cap for probabilistic matches
+export const MY_HISTORY_LIMIT = 500; // rounds of myHistory an agent keeps; older ones are dropped
+
+// Default run configuration.
+// mode: "random" picks two distinct agents per tick (the original fishbowl);
+// "roundRobin" is an Axelrod tournament where every pair meets once per repetition;
+// "moran" evolves a population of strategy copies, one round-robin per generation.
+// executionNoise / perceptionNoise are per-move flip probabilities (see playGame).
+// game names a registry entry in games.js; "custom" scores rounds with the payoffs matrix instead.
+// matchLength: "fixed" plays `rounds` rounds; "probabilistic" plays a round, then continues with
+// probability continuationProbability (the shadow of the future).
+// revealOpponent / revealHorizon / revealPayoffs / revealPopulation are the visibility rules for
+// the game context strategies receive (see context.js).
+// keepLearning: false gives adaptive agents fresh brains on every reset, so a seed replays exactly;
+// true carries learned knowledge (Q-tables, patterns, ...) into the next run.
+// tickLimit ends open-ended random-pairing runs after that many matches; 0 runs until stopped.
+export const DEFAULT_CONFIG = {
+  mode: "random",
+  repetitions: 1,
+  includeSelf: false,
+  populationSize: AGENT_COUNT,
+  generations: 30,
+  mutationRate: 0,
+  executionNoise: 0,
+  perceptionNoise: 0,
+  game: "prisonersDilemma",
+  payoffs: PD,
+  matchLength: "fixed",
+  rounds: ITERATED_LENGTH,
+  continuationProbability: 0.95,
+  revealOpponent: true,
+  revealHorizon: false,
+  revealPayoffs: false,
+  revealPopulation: false,
+  keepLearning: false,
+  tickLimit: 500,
+};
+
+const flip = (move) => (move === "C" ? "D" : "C");
+
+// Play one iterated match. Appends to each agent's myHistory (keeping the last MY_HISTORY_LIMIT
+// rounds) and feeds the learners.
+// rng drives every random choice the strategies make. config supplies the game being played and
+// the noise model: executionNoise flips an intended move before it is played (trembling hand),
+// perceptionNoise flips the opponent's move as it is written into a player's history (misread
+// signal). Each round records both versions: intended/self for the player's own move, and
+// opponent/opponentActual for what it saw versus what was really played.
+// Strategies get a fourth argument, the game context (also passed to learn): the round index plus
+// whatever the config's visibility rules reveal of the opponent, horizon, payoffs and population.
+export function playGame(agentA, agentB, rng, config = DEFAULT_CONFIG) {
+  const match = createMatch(agentA, agentB, rng, config);
+  while (!match.done) {
+    playRound(match);
+  }
+  const { scoreA, scoreB, historyA, historyB } = match;
+  return { scoreA, scoreB, historyA, historyB };
+}
+
+// What a strategy is told about its opponent: the opponent's id and the memory the agent keeps
+// about it. Memories live in agent.memories (see attachFreshBrain), so they last as long as the
+// brain does.
+function opponentView(agent, opponent) {
+  if (!agent.memories.has(opponent.id)) {
+    agent.memories.set(opponent.id, {});
+  }
+  return { id: opponent.id, memory: agent.memories.get(opponent.id) };
+}
+
+function remember(agent, round) {
+  agent.myHistory.push(round);
+  if (agent.myHistory.length > MY_HISTORY_LIMIT) {
+    agent.myHistory.splice(0, agent.myHistory.length - MY_HISTORY_LIMIT);
+  }
+}
+
+// Match state for round-by-round play; playGame drives one of these to completion.
+// populationSize is the size of the ring the match is part of, null for a standalone match.
+export function createMatch(agentA, agentB, rng, config = DEFAULT_CONFIG, populationSize = null) {
+  return {
+    agentA,
+    agentB,
+    opponentOfA: opponentView(agentA, agentB),
+    opponentOfB: opponentView(agentB, agentA),
+    rng,
+    config,
+    payoffs: Object.freeze({ ...resolvePayoffs(config) }),
+    populationSize,
+    historyA: [],
+    historyB: [],
+    scoreA: 0,
+    scoreB: 0,
+    round: 0,
+    done: false,
+  };
+}
+
+// Play the next round of a match and mark it done when the match is over
+export function playRound(match) {
+  const { agentA, agentB, opponentOfA, opponentOfB, rng, config, payoffs, populationSize, historyA, historyB, round } = match;
+  const {
+    executionNoise = 0,
+    perceptionNoise = 0,
+    matchLength = "fixed",
+    rounds = ITERATED_LENGTH,
+    continuationProbability = 0.95,
+  } = config;
+  if (match.done) {
+    return match;
+  }
+  const isProbabilistic = matchLength === "probabilistic";
+  const tremble = (move) => (executionNoise > 0 && rng() < executionNoise ? flip(move) : move);
+  const perceive = (move) => (perceptionNoise > 0 && rng() < perceptionNoise ? flip(move) : move);
+
+  const horizon = isProbabilistic
+    ? { matchLength, continuationProbability }
+    : { matchLength, rounds, roundsRemaining: rounds - round };
+  const facts = { horizon, payoffs, population: populationSize };
+  const contextA = gameContext(round, { ...facts, opponent: opponentOfA }, config);
+  const contextB = gameContext(round, { ...facts, opponent: opponentOfB }, config);
+  const intendedA = agentA.strategy(historyA, agentA.myHistory, rng, contextA);
+  const intendedB = agentB.strategy(historyB, agentB.myHistory, rng, contextB);
+  const moveA = tremble(intendedA);
+  const moveB = tremble(intendedB);
+  const seenByA = perceive(moveB);
+  const seenByB = perceive(moveA);
+  const [payoffA, payoffB] = payoffsFor(moveA, moveB, payoffs);
+
+  match.scoreA += payoffA;
+  match.scoreB += payoffB;
+
+  // Update histories
+  const roundA = {
+    self: moveA, opponent: seenByA, payoff: payoffA,
+    intended: intendedA, opponentActual: moveB,
+    executionError: moveA !== intendedA, perceptionError: seenByA !== moveB,
+  };
+  const roundB = {
+    self: moveB, opponent: seenByB, payoff: payoffB,
+    intended: intendedB, opponentActual: moveA,
+    executionError: moveB !== intendedB, perceptionError: seenByB !== moveA,
+  };
+  historyA.push(roundA);
+  historyB.push(roundB);
+
+  // Update agent histories
+  remember(agentA, roundA);
+  remember(agentB, roundB);
+
+  // Lifecycle hook: learners update from the round they just played
+  if (agentA.learn) {
+    agentA.learn(roundA, historyA, contextA);
+  }
+  if (agentB.learn) {
+    agentB.learn(roundB, historyB, contextB);
+  }
+
+  match.round++;
+  if (isProbabilistic) {
+    // Shadow of the future: the match ends after this round with probability 1 - w
+    match.done = rng() >= continuationProbability || match.round >= MAX_MATCH_ROUNDS;
+  } else {
+    match.done = match.round >= rounds;
+  }
+  return match;
+}
+
+// Full round-robin schedule as [indexA, indexB] pairs, in a fixed order
+export function buildRoundRobinSchedule(agentCount, { repetitions = 1, includeSelf = false } = {}) {
+  const schedule = [];
+  for (let rep = 0; rep < repetitions; rep++) {
+    for (let i = 0; i < agentCount; i++) {
+      for (let j = includeSelf ? i : i + 1; j < agentCount; j++) {
+        schedule.push([i, j]);
+      }
+    }
+  }
+  return schedule;
+}
+
+function clearAgent(agent) {
+  agent.score = 0;
+  agent.matches = 0;
+  agent.rounds = 0;
+  agent.history = [];
+  agent.myHistory = [];
+}
+
+// The copy an agent meets in self-play, created on first use and kept for the rest of the run
+function selfPlayTwin(agent) {
+  if (!agent.twin) {
+    agent.twin = attachFreshBrain({ ...agent, id: `${agent.id}~twin`, twin: null });
+  }
+  agent.twin.myHistory = [];
+  return agent.twin;
+}
+
+// Lay out agents and schedule for the configured mode and rewind all counters
+function prepareRun(sim) {
+  const { mode } = sim.config;
+  sim.currentMatch = null;
+  sim.tick = 0;
+  sim.cursor = 0;
+  sim.generation = 0;
+  sim.nextSerial = 0;
+  if (mode === "moran") {
+    sim.agents = seedMoranPopulation(sim.roster, sim.config.populationSize);
+    sim.nextSerial = sim.agents.length;
+  } else {
+    sim.agents = sim.roster;
+  }
+  sim.agents.forEach(clearAgent);
+  if (mode === "roundRobin") {
+    sim.schedule = buildRoundRobinSchedule(sim.agents.length, sim.config);
+  } else if (mode === "moran") {
+    sim.schedule = buildRoundRobinSchedule(sim.agents.length);
+  } else {
+    sim.schedule = null;
+  }
+}
+
+// A simulation is plain mutable state: the roster of strategies, the agents currently in the
+// ring, its config, counters and a seeded rng
+export function createSimulation(options = {}) {
+  const { seed: rawSeed, agentCount, ...config } = options;
+  const seed = rawSeed === undefined ? randomSeed() : normalizeSeed(rawSeed);
+  const sim = {
+    roster: createPopulation({ agentCount }),
+    agents: [],
+    config: { ...DEFAULT_CONFIG, ...config },
+    seed,
+    rng: createRng(seed),
+  };
+  prepareRun(sim);
+  return sim;
+}
+
+// Clear scores, histories and counters, apply config changes and restart the rng.
+// options: { seed, ...config }; anything omitted keeps its current value.
+export function resetSimulation(sim, options = {}) {
+  const { seed = sim.seed, ...config } = options;
+  sim.seed = normalizeSeed(seed);
+  sim.rng = createRng(sim.seed);
+  sim.config = { ...sim.config, ...config };
+  if (!sim.config.keepLearning) {
+    sim.roster.forEach((agent) => {
+      attachFreshBrain(agent);
+      agent.twin = null;
+    });
+  }
+  prepareRun(sim);
+  return sim;
+}
+
+// Pick the next pairing: the schedule in round-robin and Moran modes, two distinct random
+// agents otherwise. Returns null once the run is complete.
+function nextPairing(sim) {
+  if (sim.config.mode === "moran") {
+    if (sim.generation >= sim.config.generations || isFixated(sim)) {
+      return null;
+    }
+    return sim.schedule[sim.cursor];
+  }
+  if (sim.schedule) {
+    return sim.cursor < sim.schedule.length ? sim.schedule[sim.cursor] : null;
+  }
+  if (sim.config.tickLimit > 0 && sim.tick >= sim.config.tickLimit) {
+    return null;
+  }
+  const indices = [];
+  while (indices.length < 2) {
+    const idx = randomInt(sim.rng, sim.agents.length);
+    if (!indices.includes(idx)) {
+      indices.push(idx);
+    }
+  }
+  return indices;
+}
+
+// Open the next match and park it on sim.currentMatch. Returns null when the run is complete.
+function beginMatch(sim) {
+  const { agents } = sim;
+  if (agents.length < 2) {
+    return null;
+  }
+  const pairing = nextPairing(sim);
+  if (!pairing) {
+    return null;
+  }
+
+  const [idxA, idxB] = pairing;
+  const agentA = agents[idxA];
+  const isSelfPlay = idxA === idxB;
+  // Self-play faces a twin with its own brain and running history; only agentA's side is scored
+  const agentB = isSelfPlay ? selfPlayTwin(agentA) : agents[idxB];
+  sim.currentMatch = { ...createMatch(agentA, agentB, sim.rng, sim.config, agents.length), isSelfPlay };
+  return sim.currentMatch;
+}
+
+// Book a finished match into the standings, advance the counters and, in Moran mode, evolve
+// the population when the generation is over
+function settleMatch(sim) {
+  const { agentA, agentB, isSelfPlay, scoreA, scoreB, historyA, historyB } = sim.currentMatch;
+  sim.currentMatch = null;
+
+  agentA.score += scoreA;
+  agentA.matches++;
+  agentA.rounds += historyA.length;
+  agentA.history = historyA;
+  if (!isSelfPlay) {
+    agentB.score += scoreB;
+    agentB.matches++;
+    agentB.rounds += historyB.length;
+    agentB.history = historyB;
+  }
+  sim.tick++;
+  sim.cursor++;
+
+  let evolution = null;
+  if (sim.config.mode === "moran" && sim.cursor >= sim.schedule.length) {
+    evolution = moranStep(sim);
+    sim.generation++;
+    sim.cursor = 0;
+    sim.agents.forEach(clearAgent);
+  }
+
+  return { tick: sim.tick, agentA, agentB, isSelfPlay, evolution, scoreA, scoreB, historyA, historyB, complete: true };
+}
+
+// Advance one tick by playing one match (or finishing the one in progress).
+// Returns null when there is nothing left to play. In Moran mode the match that closes a
+// generation also carries the resulting `evolution`.
+export function stepSimulation(sim) {
+  const match = sim.currentMatch || beginMatch(sim);
+  if (!match) {
+    return null;
+  }
+  while (!match.done) {
+    playRound(match);
+  }
+  return settleMatch(sim);
+}
+
+// Play a single round, opening a new match if needed. The result has complete: false while
+// the match is still going; the round that ends it returns the same settlement as stepSimulation.
+export function stepRound(sim) {
+  const match = sim.currentMatch || beginMatch(sim);
+  if (!match) {
+    return null;
+  }
+  playRound(match);
+  if (match.done) {
+    return settleMatch(sim);
+  }
+  const { agentA, agentB, isSelfPlay, scoreA, scoreB, historyA, historyB } = match;
+  return { tick: sim.tick, agentA, agentB, isSelfPlay, evolution: null, scoreA, scoreB, historyA, historyB, complete: false };
+}
+
+// Matches still to play, or Infinity in random mode without a tick limit
+export function remainingMatches(sim) {
+  if (sim.config.mode === "moran") {
+    return (sim.config.generations - sim.generation) * sim.schedule.length - sim.cursor;
+  }
+  if (sim.schedule) {
+    return sim.schedule.length - sim.cursor;
+  }
+  return sim.config.tickLimit > 0 ? sim.config.tickLimit - sim.tick : Infinity;
+}
+
+// Score used for ranking: per-match average in round-robin and Moran modes, running total otherwise
+export function standingScore(sim, agent) {
+  if (sim.config.mode === "random") {
+    return agent.score;
+  }
+  return fitnessOf(agent);
+}
+
+// Agents sorted by standing score, highest first
+export function getStandings(sim) {
+  return [...sim.agents].sort((a, b) => standingScore(sim, b) - standingScore(sim, a));
+}
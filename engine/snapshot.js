@@ -0,0 +1,42 @@
+// Structured-clone-safe views of engine state for postMessage.
+// Agents carry strategy functions and brains that cannot cross a worker boundary, so the UI
+// receives plain copies of the fields it renders.
+
+// Agent record without functions, brains, histories or memories; brains that can describe themselves
+// contribute a plain-data insight for the tooltip
+export function snapshotAgent(agent) {
+  const { strategy, learn, inspect, definition, agent: brain, twin, history, myHistory, memories, ...data } = agent;
+  return inspect ? { ...data, insight: inspect() } : data;
+}
+
+// What the UI mirrors of a simulation; getStandings and standingScore work on it unchanged
+export function snapshotSimulation(sim) {
+  return {
+    agents: sim.agents.map(snapshotAgent),
+    config: sim.config,
+    seed: sim.seed,
+    tick: sim.tick,
+    generation: sim.generation,
+    scheduleLength: sim.schedule ? sim.schedule.length : 0,
+  };
+}
+
+// A step result with its agents reduced to the identity the 3D scene matches on
+export function snapshotStep(step) {
+  if (!step) {
+    return null;
+  }
+  const { agentA, agentB, evolution, ...data } = step;
+  const identity = (agent) => ({ id: agent.id, name: agent.name, isClassic: agent.isClassic });
+  return {
+    ...data,
+    agentA: identity(agentA),
+    agentB: identity(agentB),
+    evolution: evolution && {
+      parent: identity(evolution.parent),
+      victim: identity(evolution.victim),
+      offspring: identity(evolution.offspring),
+      mutated: evolution.mutated,
+    },
+  };
+}
@@ -0,0 +1,423 @@
+// Built-in strategy roster: fixed classic rules plus adaptive learners, registered with the
+// strategy registry at the bottom of this file. Each entry carries its decision function alongside
+// the educational metadata shown in tooltips.
+// decide(history, myHistory, rng, context) returns "C" or "D"; randomness must come from rng,
+// never Math.random. context is the game context, holding only what the run reveals (see
+// context.js).
+import { registerStrategy } from "./registry.js";
+import { observedPayoffs } from "./payoffs.js";
+import { memoryOneDecide } from "./memoryOne.js";
+import { DEFAULT_Q_CONFIG, createQBrain, qDecide, qLearn } from "./qLearning.js";
+import { bayesDecide, bayesInspect, bayesLearn, createBayesBrain } from "./bayesian.js";
+import { createNeuralBrain, neuralDecide, neuralInspect, neuralLearn } from "./neural.js";
+import { DEFAULT_BANDIT_CONFIG, banditDecide, banditInspect, banditLearn, createBanditBrain } from "./bandits.js";
+import { createPpmBrain, ppmDecide, ppmInspect, ppmLearn } from "./ppm.js";
+
+// Tit-for-Tat that forgives a defection 10% of the time, as a memory-one strategy
+const GENEROUS_TFT = { p: { CC: 1, CD: 0.1, DC: 1, DD: 0.1 }, opening: "C" };
+// Win-Stay Lose-Shift: repeat the last move after R or T, switch after P or S
+const PAVLOV = { p: { CC: 1, CD: 0, DC: 0, DD: 1 }, opening: "C" };
+
+const lastOpponentMove = (history) => history[history.length - 1].opponent;
+const opponentCount = (history, move) => history.filter((h) => h.opponent === move).length;
+
+// Gradual's punishment schedule, replayed from the match history: after the opponent's nth
+// defection, defect n times, then cooperate twice to calm things down
+function gradualMove(history) {
+  let defections = 0;
+  let punish = 0;
+  let calm = 0;
+  history.forEach((round) => {
+    if (round.opponent === "D") {
+      defections++;
+    }
+    if (punish > 0) {
+      punish--;
+      if (punish === 0) {
+        calm = 2;
+      }
+    } else if (calm > 1) {
+      calm--;
+    } else {
+      calm = 0; // the last calming move has been played, so this round can trigger again
+      if (round.opponent === "D") {
+        punish = defections;
+      }
+    }
+  });
+  return punish > 0 ? "D" : "C";
+}
+
+// Downing's estimate of how likely the opponent is to cooperate after each of our moves, and of
+// what each outcome pays (read off the rounds seen so far, standard PD values until then)
+function downingMove(history) {
+  const after = { C: { coop: 1, total: 2 }, D: { coop: 1, total: 2 } }; // Laplace priors
+  history.forEach((round, i) => {
+    if (i > 0) {
+      const mine = history[i - 1].self;
+      after[mine].total++;
+      if (round.opponent === "C") {
+        after[mine].coop++;
+      }
+    }
+  });
+  const { R, T, P, S } = observedPayoffs(history);
+  const pC = after.C.coop / after.C.total;
+  const pD = after.D.coop / after.D.total;
+  const expectC = pC * R + (1 - pC) * S;
+  const expectD = pD * T + (1 - pD) * P;
+  return expectC > expectD ? "C" : "D";
+}
+
+export const ClassicStrategies = [
+  { 
+    id: "C_ALWAYS", 
+    name: "Always Cooperate", 
+    decide: (history) => "C", 
+    desc: "The altruist - always cooperates regardless of opponent behavior.",
+    reasoning: "Philosophy: Trust and cooperation lead to mutual benefit. This strategy embodies unconditional altruism and assumes others will reciprocate kindness.",
+    strengths: ["Maximizes mutual cooperation when paired with similar strategies", "Simple and predictable", "Encourages cooperative environments"],
+    weaknesses: ["Vulnerable to exploitation by defectors", "Cannot adapt to hostile opponents", "Often finishes last in mixed tournaments"],
+    realWorld: "Like a person who always helps others regardless of how they're treated - admirable but potentially naive.",
+    performance: "Excellent against other cooperators, terrible against defectors. Often used as a baseline 'nice' strategy.",
+    isClassic: true 
+  },
+  { 
+    id: "D_ALWAYS", 
+    name: "Always Defect", 
+    decide: (history) => "D", 
+    desc: "The hawk - pure selfishness, always defects.",
+    reasoning: "Philosophy: Self-interest above all. This strategy assumes others cannot be trusted and that exploitation is the only path to success.",
+    strengths: ["Cannot be exploited", "Performs well against naive cooperators", "Provides guaranteed minimum payoff"],
+    weaknesses: ["Cannot build cooperative relationships", "Terrible against itself", "Misses opportunities for mutual benefit"],
+    realWorld: "Like a ruthless business competitor who never honors agreements - successful short-term, isolated long-term.",
+    performance: "Dominates cooperators but destroys mutual benefit. Classic 'rational' choice that leads to tragedy of commons.",
+    isClassic: true 
+  },
+  { 
+    id: "TIT_FOR_TAT", 
+    name: "Tit-for-Tat", 
+    decide: (history) => history.length === 0 ? "C" : history[history.length - 1].opponent, 
+    desc: "The diplomat - starts nice, then mirrors opponent's last move.",
+    reasoning: "Philosophy: Reciprocity is the foundation of cooperation. Start with trust, but respond proportionally to how you're treated.",
+    strengths: ["Nice (starts cooperating)", "Retaliatory (punishes defection)", "Forgiving (returns to cooperation quickly)", "Clear and predictable"],
+    weaknesses: ["Can get trapped in defection spirals", "Vulnerable to noise/mistakes", "Sometimes too retaliatory"],
+    realWorld: "Like international diplomacy - extend an olive branch, but respond firmly to aggression. The golden rule in action.",
+    performance: "Winner of Axelrod's original tournament. Optimal balance of niceness, retaliation, and forgiveness.",
+    isClassic: true 
+  },
+  { 
+    id: "GRIM", 
+    name: "Grim Trigger", 
+    decide: (history) => history.some((h) => h.opponent === "D") ? "D" : "C", 
+    desc: "The grudge-holder - cooperates until first betrayal, then defects forever.",
+    reasoning: "Philosophy: Trust is sacred and betrayal is unforgivable. One strike and you're out - permanent retaliation for any defection.",
+    strengths: ["Deters defection through threat of permanent punishment", "Simple trigger mechanism", "Maximizes cooperation when respected"],
+    weaknesses: ["Unforgiving - no second chances", "Vulnerable to accidental defections", "Can create permanent hostility"],
+    realWorld: "Like cutting off all contact after being betrayed once - effective deterrent but inflexible to human error.",
+    performance: "Powerful deterrent effect, but lacks forgiveness mechanism. Can spiral into permanent conflict.",
+    isClassic: true 
+  },
+  { 
+    id: "GENEROUS_TIT_FOR_TAT", 
+    name: "Generous Tit-for-Tat", 
+    decide: memoryOneDecide(GENEROUS_TFT),
+    desc: "The forgiver - like Tit-for-Tat but occasionally forgives defection.",
+    reasoning: "Philosophy: Reciprocity with mercy. Sometimes forgive defections to break cycles of retaliation and give second chances.",
+    strengths: ["Breaks defection spirals", "More resilient to noise", "Maintains cooperative potential", "Generous but not naive"],
+    weaknesses: ["Can be exploited by repeated defectors", "Forgiveness rate needs calibration", "More complex than pure strategies"],
+    realWorld: "Like a diplomatic relationship with occasional pardons - maintains cooperation while allowing for mistakes and reconciliation.",
+    performance: "Often outperforms pure Tit-for-Tat in noisy environments. Balance between firmness and flexibility.",
+    memoryOne: GENEROUS_TFT,
+    isClassic: true 
+  },
+  { 
+    id: "RANDOM", 
+    name: "Random", 
+    decide: (history, myHistory, rng) => rng() < 0.5 ? "C" : "D", 
+    desc: "The unpredictable - randomly cooperates or defects.",
+    reasoning: "Philosophy: Unpredictability prevents exploitation. Random behavior makes it impossible for opponents to learn and counter your strategy.",
+    strengths: ["Completely unpredictable", "Cannot be exploited systematically", "Provides baseline performance measure"],
+    weaknesses: ["No strategic coherence", "Cannot build trust", "Suboptimal against all other strategies"],
+    realWorld: "Like someone with random mood swings - impossible to predict but also impossible to build a relationship with.",
+    performance: "Typically performs poorly as it cannot establish cooperation or systematic exploitation. Useful as control group.",
+    isClassic: true 
+  },
+  {
+    id: "PAVLOV",
+    name: "Pavlov",
+    decide: memoryOneDecide(PAVLOV),
+    desc: "The pragmatist - Win-Stay, Lose-Shift: repeats a move that paid off, switches after a bad outcome.",
+    reasoning: "Philosophy: Judge a move by its results. After mutual cooperation or a successful defection, keep going; after being exploited or a mutual defection, change course.",
+    strengths: ["Corrects mistakes: two Pavlovs recover from a slip in two rounds", "Exploits unconditional cooperators", "Thrives in noisy, evolving populations"],
+    weaknesses: ["Exploited by Always Defect every other round", "Looks erratic to observers", "Can provoke retaliators by exploiting them"],
+    realWorld: "Like a shopkeeper who keeps a supplier while deals go well and switches after a bad one - simple reinforcement, no grudges.",
+    performance: "Nowak and Sigmund showed it outperforms Tit-for-Tat in evolving populations with mistakes.",
+    memoryOne: PAVLOV,
+    isClassic: true
+  },
+  {
+    id: "TIT_FOR_TWO_TATS",
+    name: "Tit-for-Two-Tats",
+    decide: (history) => history.length >= 2 && history.slice(-2).every((h) => h.opponent === "D") ? "D" : "C",
+    desc: "The patient one - only retaliates after two defections in a row.",
+    reasoning: "Philosophy: One defection may be an accident; two in a row is a message. Tolerate single slips, respond to a pattern.",
+    strengths: ["Very robust to noise", "Avoids echo effects between retaliators", "Never starts a conflict"],
+    weaknesses: ["Exploitable by alternating defectors", "Slow to respond to genuine hostility", "Gives away points to probers"],
+    realWorld: "Like a manager who lets a first late arrival slide but acts on the second - fair, but easy to game.",
+    performance: "Would have won Axelrod's first tournament had it been entered, but was exploited in the second by strategies designed to test it.",
+    isClassic: true
+  },
+  {
+    id: "SUSPICIOUS_TFT",
+    name: "Suspicious Tit-for-Tat",
+    decide: (history) => history.length === 0 ? "D" : lastOpponentMove(history),
+    desc: "The skeptic - Tit-for-Tat that opens with a defection.",
+    reasoning: "Philosophy: Trust must be earned. Start guarded, then reciprocate whatever the opponent does.",
+    strengths: ["Cannot be exploited on the first move", "Reciprocates cooperation once it appears", "Punishes defection"],
+    weaknesses: ["Locks Tit-for-Tat into alternating retaliation", "Two suspicious players never cooperate", "Loses the gains of an early handshake"],
+    realWorld: "Like a negotiator who opens with a hard line, then matches the other side's tone.",
+    performance: "Usually trails Tit-for-Tat: one opening defection costs many rounds of echo with reciprocators.",
+    isClassic: true
+  },
+  {
+    id: "PROBER",
+    name: "Prober",
+    decide: (history) => {
+      const n = history.length;
+      if (n === 0) { return "D"; }
+      if (n < 3) { return "C"; }
+      // Opponent did not retaliate against the opening defection: exploit it
+      if (history[1].opponent === "C" && history[2].opponent === "C") { return "D"; }
+      return lastOpponentMove(history);
+    },
+    desc: "The tester - opens D, C, C; exploits opponents that never retaliated, otherwise plays Tit-for-Tat.",
+    reasoning: "Philosophy: Find out early whether the opponent can be pushed around. Punish pushovers, respect those who hit back.",
+    strengths: ["Exploits unconditional cooperators", "Settles into Tit-for-Tat against retaliators", "Learns about the opponent in three moves"],
+    weaknesses: ["The probe provokes grudge-holders permanently", "Loses points to forgiving strategies early", "Probe is wasted against defectors"],
+    realWorld: "Like a new employee testing which rules are actually enforced before deciding how to behave.",
+    performance: "Does well in fields full of naive cooperators, poorly against Grim Trigger and other unforgiving strategies.",
+    isClassic: true
+  },
+  {
+    id: "GRADUAL",
+    name: "Gradual",
+    decide: (history) => gradualMove(history),
+    desc: "The escalator - answers the nth defection with n defections, then two cooperations.",
+    reasoning: "Philosophy: Punishment should grow with repeated offences, and every punishment ends with an offer of peace.",
+    strengths: ["Escalating deterrent", "Always offers reconciliation", "Beat Tit-for-Tat in Beaufils et al.'s tournaments"],
+    weaknesses: ["Punishments grow long against noisy opponents", "Needs to remember the whole match", "Calming moves can be exploited"],
+    realWorld: "Like graduated sanctions in law: a warning, then a fine, then a longer penalty, each followed by a chance to comply.",
+    performance: "Strong in round-robin tournaments; its long punishments cost it under heavy noise.",
+    isClassic: true
+  },
+  {
+    id: "JOSS",
+    name: "Joss",
+    decide: (history, myHistory, rng) => {
+      const move = history.length === 0 ? "C" : lastOpponentMove(history);
+      return move === "C" && rng() < 0.1 ? "D" : move; // sneaky 10% defection
+    },
+    desc: "The sneak - Tit-for-Tat that secretly defects 10% of the time it would cooperate.",
+    reasoning: "Philosophy: Reciprocity with a little cheating on the side. Occasional surprise defections collect the temptation payoff.",
+    strengths: ["Extracts extra points from forgiving opponents", "Still reciprocates cooperation", "Hard to distinguish from noise"],
+    weaknesses: ["Triggers long retaliation spirals with Tit-for-Tat", "Provokes grudge-holders for good", "Greed backfires against reciprocators"],
+    realWorld: "Like a partner who pads the expense report now and then - it pays until the other side notices.",
+    performance: "Entered Axelrod's first tournament and finished in the bottom half: its sneaky defections set off echoes that cost more than they earned.",
+    isClassic: true
+  },
+  {
+    id: "TESTER",
+    name: "Tester",
+    decide: (history) => {
+      const n = history.length;
+      if (n === 0) { return "D"; }
+      // The opponent's opening move is simultaneous with the probe, so it cannot answer it
+      const firstRetaliation = history.findIndex((h, i) => i > 0 && h.opponent === "D");
+      if (firstRetaliation >= 0) {
+        // Apologise once for the probe, then play Tit-for-Tat
+        return n === firstRetaliation + 1 ? "C" : lastOpponentMove(history);
+      }
+      if (n < 3) { return "C"; }
+      return n % 2 === 1 ? "D" : "C";
+    },
+    desc: "The opportunist - opens with a defection; if never punished, defects every other move, otherwise apologises and plays Tit-for-Tat.",
+    reasoning: "Philosophy: Test the waters. If the opponent lets it go, keep taking advantage; if it pushes back, make amends and reciprocate.",
+    strengths: ["Exploits unresponsive cooperators heavily", "Makes peace with retaliators", "Designed to beat Tit-for-Two-Tats"],
+    weaknesses: ["The opening probe costs points against retaliators", "Grim Trigger never forgives the test", "Alternating exploitation is easy to spot"],
+    realWorld: "Like a customer who tries a cheeky refund claim; if the shop objects, they apologise and behave.",
+    performance: "From Axelrod's second tournament: it fleeced overly forgiving entries but scored only moderately overall.",
+    isClassic: true
+  },
+  {
+    id: "ALTERNATOR",
+    name: "Alternator",
+    decide: (history) => history.length % 2 === 0 ? "C" : "D",
+    desc: "The metronome - cooperates and defects in strict alternation, ignoring the opponent.",
+    reasoning: "Philosophy: None - a fixed rhythm. Useful as a benchmark for how strategies handle a predictable but mixed opponent.",
+    strengths: ["Trivially predictable", "Earns some temptation payoffs against cooperators", "Good test for pattern learners"],
+    weaknesses: ["Never responds to the opponent", "Easily exploited by anyone who spots the rhythm", "Triggers retaliation constantly"],
+    realWorld: "Like a colleague who helps on even days and stonewalls on odd ones, whatever you do.",
+    performance: "Finishes low in most tournaments; mainly a yardstick for adaptive agents.",
+    isClassic: true
+  },
+  {
+    id: "HARD_MAJORITY",
+    name: "Hard Majority",
+    decide: (history) => opponentCount(history, "D") >= opponentCount(history, "C") ? "D" : "C",
+    desc: "The cautious voter - defects unless the opponent has cooperated more often than it has defected.",
+    reasoning: "Philosophy: Go with the opponent's track record, and when in doubt, protect yourself. Ties, including the first move, go to defection.",
+    strengths: ["Hard to exploit", "Rewards consistently cooperative opponents", "Ignores isolated slips once trust is built"],
+    weaknesses: ["Opens with a defection", "Slow to forgive a bad start", "Two hard majorities never cooperate"],
+    realWorld: "Like a lender who extends credit only to borrowers with a clean majority of on-time payments.",
+    performance: "Solid against defectors, but its pessimistic tie-break costs it against reciprocators.",
+    isClassic: true
+  },
+  {
+    id: "SOFT_MAJORITY",
+    name: "Soft Majority",
+    decide: (history) => opponentCount(history, "C") >= opponentCount(history, "D") ? "C" : "D",
+    desc: "The optimistic voter - cooperates as long as the opponent has cooperated at least as often as it has defected.",
+    reasoning: "Philosophy: Judge by the overall record and give the benefit of the doubt. Ties, including the first move, go to cooperation.",
+    strengths: ["Nice: never defects first", "Tolerant of occasional defections", "Cooperates well with reciprocators"],
+    weaknesses: ["Can be milked by an opponent that defects just under half the time", "Slow to react to a sudden change", "Long memory keeps old grudges alive"],
+    realWorld: "Like a friend who keeps helping as long as you have helped more often than you have let them down.",
+    performance: "Usually ranks in the upper half; one of the best memory-heavy rules in Axelrod-style tournaments.",
+    isClassic: true
+  },
+  {
+    id: "HANDSHAKE",
+    name: "Handshake",
+    decide: (history) => {
+      const n = history.length;
+      if (n === 0) { return "C"; }
+      if (n === 1) { return "D"; }
+      // Only an opponent that answered with the same C, D handshake is treated as a friend
+      return history[0].opponent === "C" && history[1].opponent === "D" ? "C" : "D";
+    },
+    desc: "The secret society - opens C, D and cooperates forever only with opponents that made the same opening.",
+    reasoning: "Philosophy: Recognise your own kind. A coded opening separates allies, who get full cooperation, from everyone else, who get defection.",
+    strengths: ["Perfect cooperation with copies of itself", "Never exploited by strangers", "Shows how collusion can win tournaments"],
+    weaknesses: ["Defects on everyone else, including nice strategies", "Noise in the handshake breaks the alliance", "Scores poorly without allies"],
+    realWorld: "Like a secret handshake between members of a club: insiders trust each other, outsiders are treated with suspicion.",
+    performance: "Strong in evolving populations once it spreads; weak as a single entrant in a mixed field.",
+    isClassic: true
+  },
+  {
+    id: "DOWNING",
+    name: "Downing",
+    decide: (history) => downingMove(history),
+    desc: "The modeller - estimates how the opponent responds to cooperation and defection, then picks the more profitable move.",
+    reasoning: "Philosophy: Treat the opponent as a black box. Measure how likely it is to cooperate after each of your moves and choose whatever pays more on expectation.",
+    strengths: ["Exploits unresponsive opponents", "Cooperates with clear reciprocators", "Principled expected-value reasoning"],
+    weaknesses: ["Starts pessimistic and defects early", "Its early defections poison relationships with retaliators", "Assumes the opponent does not change"],
+    realWorld: "Like an economist who models the other party's responses before every negotiation move.",
+    performance: "Placed tenth in Axelrod's first tournament: a sound idea undone by the pessimistic opening it needs to gather data.",
+    isClassic: true
+  }
+];
+
+// Adaptive agents keep learning state: reset() returns a fresh brain holding that state plus its
+// helper methods, and decide/learn are called with the brain as `this`. Every agent instance gets
+// its own brain, so copies never share what they have learned.
+export const AdaptiveAgents = [
+  {
+    id: "Q_LEARNER",
+    name: "Q-Learning Agent",
+    desc: "Reinforcement learning agent using Q-Learning algorithm.",
+    reasoning: "Machine Learning: Uses Q-Learning to map opponent history patterns to optimal actions. Learns through trial and error with exploration vs exploitation.",
+    strengths: ["Adapts to any opponent strategy", "Learns optimal responses", "Balances exploration and exploitation", "Can discover novel counter-strategies"],
+    weaknesses: ["Requires training time", "May be exploited during learning phase", "Performance depends on exploration rate"],
+    realWorld: "Like an AI studying your behavior patterns to predict and counter your moves - gets smarter over time.",
+    performance: "Potentially superior to fixed strategies after sufficient learning. Effectiveness depends on opponent predictability.",
+    isClassic: false,
+    qLearning: DEFAULT_Q_CONFIG,
+    reset: () => createQBrain(DEFAULT_Q_CONFIG),
+    decide: qDecide,
+    learn: qLearn
+  },
+  {
+    id: "FREQ_ANALYSIS",
+    name: "Frequency Analyzer",
+    desc: "Analyzes opponent's cooperation frequency and adapts accordingly.",
+    reasoning: "Statistical Learning: Tracks opponent cooperation rate and adjusts strategy based on their apparent cooperativeness level.",
+    strengths: ["Quick to identify opponent type", "Simple and efficient", "Good against consistent strategies", "Robust to noise"],
+    weaknesses: ["Vulnerable to pattern changes", "Cannot detect complex patterns", "May miss temporal strategies"],
+    realWorld: "Like a negotiator who studies your past behavior to predict future actions - simple but effective pattern recognition.",
+    performance: "Effective against consistent opponents, struggles with adaptive or complex strategies.",
+    isClassic: false,
+    reset: () => ({
+      cooperationThreshold: 0.6
+    }),
+    decide: function(history, myHistory) {
+      if (history.length < 5) { return "C"; }
+      const cooperationRate = history.filter(h => h.opponent === "C").length / history.length;
+      return cooperationRate > this.cooperationThreshold ? "C" : "D";
+    }
+  },
+  {
+    id: "PATTERN_DETECTOR",
+    name: "Pattern Detective",
+    desc: "Learns which move the opponent makes after each recent sequence of rounds and plays the best response to its prediction.",
+    reasoning: "Prediction by Partial Matching: Counts the opponent's next move after every sequence of the last one to four rounds (both players' moves). It trusts the longest sequence it has confident evidence for and falls back to shorter ones, letting old evidence fade. The move maximizes expected payoff under the payoff matrix over the next few predicted rounds, so a predicted retaliation weighs against a tempting defection.",
+    strengths: ["Detects periodic and reactive patterns", "Exploits predictable opponents", "Keeps cooperating with opponents that punish defection", "Fading evidence lets it follow opponents that change"],
+    weaknesses: ["Struggles with truly random opponents", "Needs a few repetitions before it trusts a pattern", "May overfit to noise"],
+    realWorld: "Like a detective analyzing crime patterns - looks for repeating behaviors to predict and prevent the next incident.",
+    performance: "Excellent against pattern-based strategies, weaker against random or adaptive opponents.",
+    isClassic: false,
+    reset: createPpmBrain,
+    decide: ppmDecide,
+    learn: ppmLearn,
+    inspect: ppmInspect
+  },
+  {
+    id: "META_STRATEGY",
+    name: "Meta-Strategist",
+    desc: "Runs a portfolio of six simple sub-strategies and picks among them with a bandit algorithm.",
+    reasoning: "Portfolio Learning: Treats Always Cooperate, Always Defect, Tit-for-Tat, Win-Stay Lose-Shift, Grim Trigger and a frequency rule as slot-machine arms. Every few rounds UCB1 picks the arm with the best optimistic estimate. Each round also credits every sub-strategy that would have made the same move, so unused ones keep being evaluated.",
+    strengths: ["Combines best of multiple approaches", "Principled exploration: untested arms still get tried", "Counterfactual scoring learns from every round", "Robust across opponent types"],
+    weaknesses: ["Can only be as good as its best sub-strategy", "Global statistics mix what worked against different opponents", "Sub-strategies that always disagree with the one in play only learn when pulled"],
+    realWorld: "Like an investment portfolio manager - maintains diverse strategies and allocates resources to the best performers.",
+    performance: "One of the strongest adaptive agents; the Meta-Strategist Bandits panel fields Thompson sampling, Exp3 and per-opponent variants to compare.",
+    isClassic: false,
+    bandit: DEFAULT_BANDIT_CONFIG,
+    reset: () => createBanditBrain(DEFAULT_BANDIT_CONFIG),
+    decide: banditDecide,
+    learn: banditLearn,
+    inspect: banditInspect
+  },
+  {
+    id: "BAYESIAN",
+    name: "Bayesian Modeller",
+    desc: "Keeps a probability for every strategy type the opponent might be and best-responds to the mix.",
+    reasoning: "Bayesian Inference: Starts with equal beliefs in nine known types (Always Cooperate, Always Defect, Tit-for-Tat, Grim Trigger, Random, ...). Every observed move shifts belief toward the types that predicted it; the move is chosen by planning a few rounds ahead under each type, weighted by belief.",
+    strengths: ["Identifies known strategies within a few rounds", "Exploits unconditional cooperators and random players", "Keeps the peace with retaliators it recognises", "Its reasoning is fully visible as a belief distribution"],
+    weaknesses: ["Only as good as its list of types", "Opponents outside the list are approximated by the nearest type", "Short planning horizon"],
+    realWorld: "Like a doctor forming a differential diagnosis - weighing several explanations and updating with every new symptom.",
+    performance: "Strong against the classic roster it models; the contrast with the Frequency Analyzer's single threshold shows what a full opponent model buys.",
+    isClassic: false,
+    reset: createBayesBrain,
+    decide: bayesDecide,
+    learn: bayesLearn,
+    inspect: bayesInspect
+  },
+  {
+    id: "NEURAL_POLICY",
+    name: "Neural Policy Agent",
+    desc: "A small neural network that reads the last four rounds and outputs its chance of cooperating, trained by policy gradient.",
+    reasoning: "Deep Reinforcement Learning: A two-layer perceptron maps recent moves to a cooperation probability. After every match, REINFORCE nudges the weights toward moves that were followed by high discounted payoffs.",
+    strengths: ["Learns any response to the last four rounds, not just a lookup of known types", "Genuinely stochastic policy is hard to exploit", "Keeps improving over many matches"],
+    weaknesses: ["Needs hundreds of matches to learn much", "Noisy gradient estimates make learning jumpy", "Forgets one opponent while training against the next"],
+    realWorld: "Like learning a sport by feel: no explicit rules, just adjusting instincts after every game based on how it went.",
+    performance: "Starts near random play; over a long run it learns to exploit unconditional cooperators and cooperate more with reciprocators.",
+    isClassic: false,
+    reset: createNeuralBrain,
+    decide: neuralDecide,
+    learn: neuralLearn,
+    inspect: neuralInspect
+  }
+];
+
+[...ClassicStrategies, ...AdaptiveAgents].forEach(({ id, name, decide, reset, learn, inspect, ...metadata }) => {
+  registerStrategy({ id, name, decide, reset, learn, inspect, metadata });
+});
@@ -0,0 +1,134 @@
+// Web Worker that owns the simulation and paces it off the main thread.
+// Messages in:  { type: "init" | "reset", runId, options }, { type: "play" }, { type: "pause" },
+//               { type: "step", unit: "match" | "round" }, { type: "cadence", ms },
+//               { type: "submissions", runId, submissions } (editor strategies; rebuilds the run),
+//               { type: "batch", options, submissions } (Monte Carlo; use a dedicated worker, it blocks until done)
+//               { type: "evolve", options, submissions } (genetic algorithm; likewise dedicated)
+//               { type: "preview", requestId, submissions, opponentId, options } (builder previews
+//               of plain-data submissions; the UI keeps one worker for these)
+// Messages out: { type: "update", runId, sim, step, playing, finished } after every batch,
+//               { type: "batchProgress", done, runs } and { type: "batchResult", result },
+//               { type: "evolveProgress", generation, best, mean, genome } and { type: "evolveResult", result },
+//               { type: "previewResult", requestId, results }.
+// runId lets the UI drop updates that were already in flight when it reset the run. Messages are
+// handled one at a time, in order: syncing submissions waits for their move sandboxes to start.
+import { createSimulation, resetSimulation, stepSimulation, stepRound } from "./simulation.js";
+import { runBatch } from "./batch.js";
+import { evolveLookup } from "./genetic.js";
+import { previewSubmissions, syncSubmissions } from "./sandbox.js";
+import { snapshotSimulation, snapshotStep } from "./snapshot.js";
+
+const FAST_BATCH_MS = 12; // cadence 0: play matches for this long, then report once
+
+let sim = null;
+let runId = 0;
+let playing = false;
+let cadence = 300;
+let timer = null;
+
+function post(step, finished = false) {
+  self.postMessage({
+    type: "update",
+    runId,
+    sim: snapshotSimulation(sim),
+    step: snapshotStep(step),
+    playing,
+    finished,
+  });
+}
+
+function stop() {
+  playing = false;
+  if (timer !== null) {
+    clearTimeout(timer);
+    timer = null;
+  }
+}
+
+// Play one scheduled batch: a single match, or as many as fit in FAST_BATCH_MS at full speed
+function tick() {
+  timer = null;
+  let last = null;
+  let finished = false;
+  const start = performance.now();
+  do {
+    const step = stepSimulation(sim);
+    if (!step) {
+      finished = true;
+      stop();
+      break;
+    }
+    last = step;
+  } while (cadence === 0 && performance.now() - start < FAST_BATCH_MS);
+  post(last, finished);
+  if (playing) {
+    timer = setTimeout(tick, cadence);
+  }
+}
+
+async function handle(data) {
+  switch (data.type) {
+    case "init":
+      stop();
+      runId = data.runId;
+      sim = createSimulation(data.options);
+      post(null);
+      break;
+    case "reset":
+      stop();
+      runId = data.runId;
+      resetSimulation(sim, data.options);
+      post(null);
+      break;
+    case "play":
+      if (!playing) {
+        playing = true;
+        timer = setTimeout(tick, 0);
+      }
+      break;
+    case "pause":
+      stop();
+      break;
+    case "step": {
+      stop();
+      const step = data.unit === "round" ? stepRound(sim) : stepSimulation(sim);
+      post(step, !step);
+      break;
+    }
+    case "cadence":
+      cadence = data.ms;
+      break;
+    case "submissions":
+      stop();
+      runId = data.runId;
+      await syncSubmissions(data.submissions);
+      sim = createSimulation({ seed: sim.seed, ...sim.config });
+      post(null);
+      break;
+    case "batch": {
+      await syncSubmissions(data.submissions);
+      const result = runBatch(data.options, (done, runs) => self.postMessage({ type: "batchProgress", done, runs }));
+      self.postMessage({ type: "batchResult", result });
+      break;
+    }
+    case "evolve": {
+      await syncSubmissions(data.submissions);
+      const result = evolveLookup(data.options, (progress) => self.postMessage({ type: "evolveProgress", ...progress }));
+      self.postMessage({ type: "evolveResult", result });
+      break;
+    }
+    case "preview":
+      self.postMessage({ type: "previewResult", requestId: data.requestId, results: previewSubmissions(data.submissions, data.opponentId, data.options) });
+      break;
+    default:
+      break;
+  }
+}
+
+let queue = Promise.resolve();
+
+self.onmessage = ({ data }) => {
+  queue = queue.then(() => handle(data)).catch((err) => {
+    setTimeout(() => { throw err; }); // surface as an uncaught worker error, keep the queue going
+  });
+};
@@ -0,0 +1,23 @@
+// Adds the cross-origin isolation headers (COOP/COEP) to every response, for static hosts that
+// cannot be configured to send them. Registered from index.html; the dev and preview servers send
+// the headers themselves (vite.config.js).
+self.addEventListener("install", () => self.skipWaiting());
+self.addEventListener("activate", (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.cache === "only-if-cached" && request.mode !== "same-origin") {
+    return;
+  }
+  event.respondWith(
+    fetch(request).then((response) => {
+      if (response.status === 0) {
+        return response;
+      }
+      const headers = new Headers(response.headers);
+      headers.set("Cross-Origin-Opener-Policy", "same-origin");
+      headers.set("Cross-Origin-Embedder-Policy", "require-corp");
+      return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+    }),
+  );
+});
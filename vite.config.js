@@ -1,12 +1,23 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Cross-origin isolation lets the editor's move sandbox use SharedArrayBuffer; static hosting
+// gets the same headers from public/coi-serviceworker.js
+const isolationHeaders = {
+  'Cross-Origin-Opener-Policy': 'same-origin',
+  'Cross-Origin-Embedder-Policy': 'require-corp'
+}
+
 export default defineConfig({
   plugins: [react()],
   base: '/AiGameTheoryFishbowl-PrisonersDilemma/',
   server: {
     port: 3000,
-    open: true
+    open: true,
+    headers: isolationHeaders
+  },
+  preview: {
+    headers: isolationHeaders
   },
   build: {
     outDir: 'dist',